@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line tool generating selectors for elements of a local HTML file, or verifying stored selectors
+ * against a new HTML snapshot. Runs offline on linkedom, a lightweight DOM, without a browser.
+ * linkedom and xpath are optional peer dependencies, so they are only imported by this tool.
+ */
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import { parseArgs } from 'util';
+import { SelectorGenerator } from '../src/SelectorGenerator.js';
+import { SelectorResolver } from '../src/resolvers/SelectorResolver.js';
+import { XPathDOMService } from '../src/services/XPathDOMService.js';
+
+/**
+ * Elements selected by --all-interactive: links, buttons, form fields and elements with interactive roles.
+ */
+const INTERACTIVE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'summary',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]:not([tabindex="-1"])',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="checkbox"]',
+  '[role="radio"]',
+  '[role="switch"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  '[role="option"]',
+  '[role="textbox"]',
+  '[role="combobox"]',
+].join(', ');
+
+/**
+ * Matches the doctype, after any leading whitespace and comments.
+ */
+const DOCTYPE_REGEX = /^((?:\s|<!--[\s\S]*?-->)*)<!doctype[^>]*>/i;
+
+const USAGE = `Usage:
+  selector-generator <file.html> (--selector <css> | --xpath <expression> | --all-interactive) [options]
+  selector-generator --verify <selectors> <file.html> [--json]
+
+Targets:
+  -s, --selector <css>        Elements matching a CSS selector
+  -x, --xpath <expression>    Elements matching an XPath expression
+  -a, --all-interactive       Links, buttons, form fields and elements with interactive roles
+
+Options:
+  -t, --together              One selector matching all targets, instead of one per target
+  -f, --format <format>       Output format: css (default), xpath or playwright
+  -o, --optimizer <name>      Optimizer: top-down (default), bottom-up, optimal or hybrid
+      --options <json>        Further generator options, e.g. '{"testAttributes":{"strict":true}}'
+      --json                  Print JSON instead of text
+      --verify <selectors>    Check stored selectors (a JSON array of selectors or of objects with a
+                              selector, or one selector per line) against the HTML file; every selector
+                              must still match exactly one element
+  -h, --help                  Show this help
+
+Exit codes: 0 on success, 1 if no target was found, a target got no unique selector or a stored selector broke,
+2 on usage errors.`;
+
+/**
+ * Error in the command line, reported with the usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses the command-line arguments.
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Parsed options, with the HTML file as file
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseArguments(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        selector: { type: 'string', short: 's' },
+        xpath: { type: 'string', short: 'x' },
+        'all-interactive': { type: 'boolean', short: 'a' },
+        together: { type: 'boolean', short: 't' },
+        format: { type: 'string', short: 'f' },
+        optimizer: { type: 'string', short: 'o' },
+        options: { type: 'string' },
+        json: { type: 'boolean' },
+        verify: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError('Expected exactly one HTML file');
+  }
+
+  const targets = ['selector', 'xpath', 'all-interactive'].filter((name) => values[name] !== undefined);
+  if (values.verify === undefined && targets.length !== 1) {
+    throw new UsageError('Expected exactly one of --selector, --xpath and --all-interactive');
+  }
+  if (values.verify !== undefined && targets.length > 0) {
+    throw new UsageError('--verify cannot be combined with --selector, --xpath or --all-interactive');
+  }
+
+  let options = {};
+  if (values.options !== undefined) {
+    try {
+      options = JSON.parse(values.options);
+    } catch (error) {
+      throw new UsageError(`--options is not valid JSON: ${error.message}`);
+    }
+  }
+  if (values.format !== undefined) {
+    options.outputFormat = values.format;
+  }
+  if (values.optimizer !== undefined) {
+    options.optimizer = values.optimizer;
+  }
+
+  return { ...values, file: positionals[0], generatorOptions: options };
+}
+
+/**
+ * Imports linkedom and xpath, which are optional peer dependencies of the library.
+ * @returns {Promise<{parseHTML: Function, xpath: Object}>} linkedom's parser and the xpath package
+ * @throws {Error} If either package is not installed
+ */
+async function importDOM() {
+  try {
+    const [{ parseHTML }, { default: xpath }] = await Promise.all([import('linkedom'), import('xpath')]);
+    return { parseHTML, xpath };
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error('linkedom and xpath are required, install them with: npm install linkedom xpath');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Loads an HTML file into a linkedom document.
+ * linkedom has no document.evaluate, so XPath expressions are evaluated with the xpath package,
+ * in HTML mode (unprefixed names match HTML elements). The doctype is dropped before parsing, as linkedom
+ * does not link it to the <html> element as a sibling, which would hide the document from XPath traversal.
+ * @param {string} file - Path of the HTML file
+ * @returns {Promise<Document>} Parsed document
+ */
+async function loadDocument(file) {
+  const html = await readFile(file, 'utf8');
+  const { parseHTML, xpath } = await importDOM();
+  const { document } = parseHTML(html.replace(DOCTYPE_REGEX, '$1'));
+
+  document.evaluate = (expression, contextNode) => {
+    const nodes = xpath.parse(expression).select({ node: contextNode, isHtml: true });
+    return { snapshotLength: nodes.length, snapshotItem: (index) => nodes[index] ?? null };
+  };
+
+  return document;
+}
+
+/**
+ * Finds the target elements.
+ * @param {Document} document - Parsed document
+ * @param {Object} args - Parsed arguments
+ * @returns {Array<Element>} Target elements, in document order
+ */
+function findTargets(document, args) {
+  if (args.selector !== undefined) {
+    return Array.from(document.querySelectorAll(args.selector));
+  }
+  if (args.xpath !== undefined) {
+    return XPathDOMService.evaluate(args.xpath, document).filter(
+      (node) => node.nodeType === 1 // Node.ELEMENT_NODE
+    );
+  }
+  return Array.from(document.querySelectorAll(INTERACTIVE_SELECTOR));
+}
+
+/**
+ * Generates the selectors of the targets.
+ * A target that gets no unique selector, or whose generation throws, is reported with an error
+ * instead of a selector, and the other targets are still generated.
+ * @param {Array<Element>} targets - Target elements
+ * @param {Object} args - Parsed arguments
+ * @returns {Array<{selector: string|Array, cost: number, matchCount: number}|{target: string, error: string}>}
+ *   One result per target, or a single one with --together
+ */
+function generate(targets, args) {
+  const generator = new SelectorGenerator(args.generatorOptions);
+  const groups = args.together ? [targets] : targets.map((target) => [target]);
+
+  return groups.map((group) => {
+    const target = describeTargets(group);
+    try {
+      const [best] = generator.getSelectors(group, { count: 1 });
+      if (!best.exact) {
+        return { target, error: `No unique selector found (best: ${formatSelector(best.selector)}, ${best.matchCount} matches)` };
+      }
+      return { selector: best.selector, cost: best.cost, matchCount: best.matchCount };
+    } catch (error) {
+      return { target, error: error.message };
+    }
+  });
+}
+
+/**
+ * Describes targets for error messages, by the tag and position of their first element.
+ * @param {Array<Element>} group - Targets sharing a selector
+ * @returns {string} Description, e.g. "<button> #3" for the third button of the document
+ */
+function describeTargets(group) {
+  const [first] = group;
+  const position = Array.from(first.ownerDocument.getElementsByTagName(first.localName)).indexOf(first) + 1;
+  const description = `<${first.localName}> #${position}`;
+  return group.length > 1 ? `${description} and ${group.length - 1} more` : description;
+}
+
+/**
+ * Reads stored selectors: a JSON array of selectors or of objects with a selector property
+ * (such as the --json output), or one selector per line.
+ * @param {string} file - Path of the selectors file
+ * @returns {Promise<Array<string|Array<string>>>} Stored selectors
+ */
+async function loadSelectors(file) {
+  const content = await readFile(file, 'utf8');
+  let stored;
+  try {
+    stored = JSON.parse(content);
+  } catch {
+    return content.split('\n').map((line) => line.trim()).filter((line) => line !== '');
+  }
+
+  if (!Array.isArray(stored)) {
+    throw new UsageError(`${basename(file)} must hold an array of selectors`);
+  }
+  return stored.map((entry) => (entry !== null && typeof entry === 'object' && !Array.isArray(entry)
+    ? entry.selector
+    : entry));
+}
+
+/**
+ * Checks stored selectors against a document.
+ * @param {Document} document - Parsed document
+ * @param {Array<string|Array<string>>} selectors - Stored selectors
+ * @returns {Array<{selector: string|Array<string>, status: string, matchCount: number, error?: string}>} Result per selector;
+ *   status is "ok" (exactly one match), "missing" (none), "ambiguous" (several) or "invalid" (the selector throws)
+ */
+function verify(document, selectors) {
+  return selectors.map((selector) => {
+    let matchCount;
+    try {
+      matchCount = SelectorResolver.resolveAll(selector, document).length;
+    } catch (error) {
+      return { selector, status: 'invalid', matchCount: 0, error: error.message };
+    }
+
+    let status = 'ok';
+    if (matchCount === 0) {
+      status = 'missing';
+    } else if (matchCount > 1) {
+      status = 'ambiguous';
+    }
+    return { selector, status, matchCount };
+  });
+}
+
+/**
+ * Formats a selector for text output.
+ * @param {string|Array<string>} selector - Selector, or a selector chain
+ * @returns {string} Selector text
+ */
+function formatSelector(selector) {
+  return Array.isArray(selector) ? JSON.stringify(selector) : selector;
+}
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const parsed = parseArguments(args);
+  if (parsed.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const document = await loadDocument(parsed.file);
+
+  if (parsed.verify !== undefined) {
+    const results = verify(document, await loadSelectors(parsed.verify));
+    const broken = results.filter((result) => result.status !== 'ok');
+
+    if (parsed.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const { selector, status, matchCount, error } of results) {
+        const detail = error ?? `${matchCount} ${matchCount === 1 ? 'match' : 'matches'}`;
+        console.log(`${status.padEnd(9)} ${formatSelector(selector)} (${detail})`);
+      }
+      console.log(`\n${broken.length} of ${results.length} selectors broke`);
+    }
+    return broken.length > 0 ? 1 : 0;
+  }
+
+  const targets = findTargets(document, parsed);
+  if (targets.length === 0) {
+    console.error('No target element found');
+    return 1;
+  }
+
+  const results = generate(targets, parsed);
+  const failed = results.filter((result) => result.error !== undefined);
+  if (parsed.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const { selector, cost, matchCount, target, error } of results) {
+      if (error !== undefined) {
+        console.error(`${target}: ${error}`);
+      } else {
+        console.log(`${formatSelector(selector)}\tcost ${cost}\t${matchCount} ${matchCount === 1 ? 'match' : 'matches'}`);
+      }
+    }
+  }
+  if (failed.length > 0) {
+    console.error(`${failed.length} of ${results.length} targets got no selector`);
+  }
+  return failed.length > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`selector-generator: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -1,102 +1,1238 @@
 import { ElementValidator } from './validators/ElementValidator.js';
 import { DOMService } from './services/DOMService.js';
 import { SelectorBuilder } from './builders/SelectorBuilder.js';
+import { XPathBuilder } from './builders/XPathBuilder.js';
+import { LocatorBuilder } from './builders/LocatorBuilder.js';
+import { XPathDOMService } from './services/XPathDOMService.js';
+import { LocatorDOMService } from './services/LocatorDOMService.js';
+import { MatchSetService } from './services/MatchSetService.js';
 import { BottomUpSelectorOptimizer } from './optimizers/BottomUpSelectorOptimizer.js';
 import { TopDownSelectorOptimizer } from './optimizers/TopDownSelectorOptimizer.js';
+import { OptimalSelectorOptimizer } from './optimizers/OptimalSelectorOptimizer.js';
+import { HybridSelectorOptimizer } from './optimizers/HybridSelectorOptimizer.js';
+import { AlternativeSelectorOptimizer } from './optimizers/AlternativeSelectorOptimizer.js';
+import { DebugOptimizer } from './optimizers/DebugOptimizer.js';
+import { RobustnessEvaluator } from './optimizers/RobustnessEvaluator.js';
 import { LocalSelectorGenerator } from './generators/LocalSelectorGenerator.js';
 import { LocalExclusionGenerator } from './generators/LocalExclusionGenerator.js';
 import { ChildrenSelectorGenerator } from './generators/ChildrenSelectorGenerator.js';
 import { ChildrenExclusionGenerator } from './generators/ChildrenExclusionGenerator.js';
 import { SiblingSelectorGenerator } from './generators/SiblingSelectorGenerator.js';
 import { ParentSelectorGenerator } from './generators/ParentSelectorGenerator.js';
+import { TextSelectorGenerator } from './generators/TextSelectorGenerator.js';
+import { RoleSelectorGenerator } from './generators/RoleSelectorGenerator.js';
+import { MemoizedGenerator } from './generators/MemoizedGenerator.js';
+import { SelectorResolver } from './resolvers/SelectorResolver.js';
+import { SelectorRepairer } from './resolvers/SelectorRepairer.js';
+import {
+  resolveOptions,
+  GENERATOR_NAMES,
+  LOCATOR_GENERATOR_NAMES,
+  ESSENTIAL_GENERATOR_NAMES,
+} from './config/options.js';
+import { applyPresets } from './config/presets.js';
+import { TimeBudget } from './utils/TimeBudget.js';
+import { StepRunner } from './utils/StepRunner.js';
+import { RepeatingPatternFinder } from './utils/RepeatingPatternFinder.js';
+import { ElementFingerprint } from './utils/ElementFingerprint.js';
+import { DEFAULT_SELECTOR_COUNT } from './config/constants.js';
 
 /**
  * Main class for generating optimal CSS selectors for DOM elements.
  */
 export class SelectorGenerator {
-  constructor() {
+  /**
+   * Pipelines by query root while shared pipelines are in use (getSelectorsForAll, generalize), null otherwise.
+   * @type {Map<Document|DocumentFragment|Element, Object>|null}
+   */
+  #batchPipelines = null;
+
+  /**
+   * Creates a SelectorGenerator instance.
+   * @param {Object} [options] - Instance options, merged over DEFAULT_OPTIONS
+   * @param {{ids?: Array<string|RegExp>, classes?: Array<string|RegExp>, attributes?: Array<string|RegExp>}} [options.blacklist] - Wildcard or regular expression blacklists (arrays replace the defaults)
+   * @param {Object<string, number>} [options.costs] - Cost overrides, keyed like DEFAULT_OPTIONS.costs
+   * @param {Object<string, boolean>} [options.generators] - Enables/disables candidate generators by name
+   * @param {{enabled?: boolean, perturbations?: Array<string>}} [options.robustness] - Mutation-robustness scoring of candidates
+   * @param {{names?: Array<string>, strict?: boolean}} [options.testAttributes] - Preferred test attributes, most preferred first; strict mode selects with test attributes only when they suffice
+   * @param {string} [options.volatile] - Generated IDs, classes and attribute values: "penalize", "exclude" or "off"
+   * @param {Array<string|Object>} [options.presets] - Framework presets (names or definitions) adding blacklists and cost adjustments
+   * @param {Array<{type: string, pattern: string, cost: number}>} [options.costAdjustments] - Costs added to id, class and attr candidates matching a wildcard pattern
+   * @param {string} [options.optimizer] - Optimizer to use: "top-down", "bottom-up", "optimal" or "hybrid"
+   * @param {{stages?: Array<string>, prune?: boolean}} [options.hybrid] - Optimizers run in order by the hybrid optimizer, and its final pruning pass
+   * @param {{maxNodes?: number, timeLimitMs?: number}} [options.optimal] - Search budget of the optimal optimizer
+   * @param {string} [options.shadowOutput] - Output for elements in shadow roots: "pierce" or "chain"
+   * @param {boolean} [options.framePath] - Prefix the result with a selector for every enclosing iframe
+   * @param {Element|DocumentFragment|null} [options.root] - Make selectors unique within this container instead of the document
+   * @param {string} [options.outputFormat] - Output format: "css", "xpath" or "playwright"
+   * @param {{maxDepth?: number|null, maxChildren?: number|null, maxAncestors?: number|null}} [options.traversal] - Caps on the subtree and ancestor walks of the children and parent generators
+   * @param {number|null} [options.timeBudgetMs] - Time budget per call; when it runs out, the best selector found so far is returned
+   * @param {number|null} [options.maxCandidates] - Keep only the cheapest candidates for the optimizer
+   * @param {boolean} [options.matchCache] - Evaluate candidate combinations from cached per-descriptor match sets (CSS output only)
+   * @throws {Error} If the options are invalid
+   */
+  constructor(options = {}) {
+    this.options = resolveOptions(options);
+
     // Initialize services
     this.domService = new DOMService();
     this.selectorBuilder = new SelectorBuilder();
-    this.bottomUpOptimizer = new BottomUpSelectorOptimizer(this.domService, this.selectorBuilder);
-    this.topDownOptimizer = new TopDownSelectorOptimizer(this.domService, this.selectorBuilder);
 
-    // Initialize generators
-    this.localGenerator = new LocalSelectorGenerator();
-    this.exclusionGenerator = new LocalExclusionGenerator(
+    // Initialize generators and optimizers for the instance options
+    this.pipeline = this.#createPipeline(
+      this.options,
       this.domService,
-      this.localGenerator,
       this.selectorBuilder
     );
-    this.childrenGenerator = new ChildrenSelectorGenerator(this.localGenerator);
-    this.childrenExclusionGenerator = new ChildrenExclusionGenerator(
-      this.domService,
-      this.localGenerator,
-      this.selectorBuilder
+  }
+
+  /**
+   * Creates the generators and optimizers configured with the given options.
+   * The presets are expanded here, so the pipeline options hold the combined blacklists and cost adjustments.
+   * @private
+   * @param {Object} options - Resolved options
+   * @param {DOMService} domService - Service for DOM queries, bound to the query root
+   * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors for the query root
+   * @param {boolean} [shared] - Share work between the calls of a batch: memoized ancestor and sibling descriptors,
+   *   match sets kept from one target to the next, and the anchors used so far
+   * @returns {{options: Object, domService: DOMService, selectorBuilder: SelectorBuilder, outputDomService: DOMService, outputBuilder: SelectorBuilder|XPathBuilder|LocatorBuilder, matchService: MatchSetService, budget: TimeBudget, shared: boolean, anchors: Map<Element, Set<string>>|null, generators: Object, robustnessEvaluator: RobustnessEvaluator, optimizers: Object}} Configured pipeline
+   */
+  #createPipeline(resolvedOptions, domService, selectorBuilder, shared = false) {
+    const options = applyPresets(resolvedOptions);
+
+    // Generators always work with CSS; the optimizers evaluate candidates in the output format.
+    // Without any document (no root and no global one, e.g. in Node.js), there is nothing to build XPath for;
+    // XPath calls get a pipeline for the elements' document anyway (see #getPipeline)
+    let outputBuilder = selectorBuilder;
+    let outputDomService = domService;
+    const root = domService.getRoot();
+    if (options.outputFormat === "xpath" && root !== null) {
+      outputBuilder = XPathBuilder.forDocument(
+        root.nodeType === 9 ? root : root.ownerDocument // Node.DOCUMENT_NODE
+      );
+      outputDomService = new XPathDOMService(domService.root);
+    } else if (options.outputFormat === "playwright") {
+      outputBuilder = new LocatorBuilder(selectorBuilder);
+      outputDomService = new LocatorDOMService(domService.root);
+    }
+
+    // Descriptors of other elements than the target are memoized within a batch
+    const share = (generator) => (shared ? new MemoizedGenerator(generator) : generator);
+    const localGenerator = new LocalSelectorGenerator(options);
+    const sharedLocalGenerator = share(localGenerator);
+    const exclusionGenerator = new LocalExclusionGenerator(
+      domService,
+      sharedLocalGenerator,
+      selectorBuilder,
+      options
     );
-    this.siblingGenerator = new SiblingSelectorGenerator(this.localGenerator);
-    this.parentGenerator = new ParentSelectorGenerator(
-      this.localGenerator,
-      this.exclusionGenerator,
-      this.siblingGenerator
+    const siblingGenerator = new SiblingSelectorGenerator(sharedLocalGenerator, options);
+    const budget = new TimeBudget(options.timeBudgetMs);
+
+    // Optimizers evaluate candidate combinations through the match-set cache (CSS output only)
+    const matchService = new MatchSetService(outputDomService, outputBuilder, {
+      cached: options.matchCache && options.outputFormat === "css",
+    });
+
+    const optimizers = {
+      "top-down": new TopDownSelectorOptimizer(
+        matchService,
+        outputBuilder,
+        options,
+        budget
+      ),
+      "bottom-up": new BottomUpSelectorOptimizer(
+        matchService,
+        outputBuilder,
+        budget
+      ),
+      optimal: new OptimalSelectorOptimizer(
+        matchService,
+        outputBuilder,
+        options,
+        budget
+      ),
+    };
+    optimizers.hybrid = new HybridSelectorOptimizer(
+      optimizers,
+      matchService,
+      outputBuilder,
+      options
     );
+
+    return {
+      options,
+      domService,
+      selectorBuilder,
+      outputDomService,
+      outputBuilder,
+      matchService,
+      budget,
+      shared,
+      anchors: shared ? new Map() : null,
+      generators: {
+        local: localGenerator,
+        exclusion: exclusionGenerator,
+        children: new ChildrenSelectorGenerator(sharedLocalGenerator, options, budget),
+        sibling: siblingGenerator,
+        parent: new ParentSelectorGenerator(
+          sharedLocalGenerator,
+          share(exclusionGenerator),
+          share(siblingGenerator),
+          options,
+          budget
+        ),
+        childrenExclusion: new ChildrenExclusionGenerator(
+          domService,
+          sharedLocalGenerator,
+          selectorBuilder,
+          options
+        ),
+        text: new TextSelectorGenerator(options),
+        role: new RoleSelectorGenerator(options),
+      },
+      robustnessEvaluator: new RobustnessEvaluator(
+        domService,
+        selectorBuilder,
+        options
+      ),
+      optimizers,
+    };
   }
 
   /**
-   * Generates an optimal CSS selector for the given element(s).
-   * For a single element, generates a unique selector matching only that element.
-   * For multiple elements, generates a selector matching all of them (and only them).
-   * Elements can be at any level in the DOM tree as long as they share a common ancestor.
-   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>} elements - The target element(s)
-   * @returns {string} CSS selector string that uniquely identifies the element(s)
-   * @throws {Error} If elements are invalid or don't share a common ancestor
+   * Returns the pipeline for a call.
+   * The instance pipeline is reused unless the call overrides options or queries a different root.
+   * XPath pipelines depend on the document content, so they are always created anew.
+   * During a batch, every root gets one shared pipeline for the whole batch.
+   * @private
+   * @param {Object} options - Resolved options for the call
+   * @param {Document|DocumentFragment|Element|null} [root] - Query root, null for the global document
+   * @returns {Object} Configured pipeline
+   */
+  #getPipeline(options, root = null) {
+    const isDefaultRoot = root === null || root === this.domService.getRoot();
+    const batch = this.#batchPipelines;
+    if (batch === null && options === this.options && isDefaultRoot && options.outputFormat !== "xpath") {
+      return this.pipeline;
+    }
+    if (batch !== null && batch.has(root)) {
+      return batch.get(root);
+    }
+
+    const pipeline = this.#createPipeline(
+      options,
+      isDefaultRoot ? this.domService : new DOMService(root),
+      DOMService.isElementRoot(root)
+        ? new SelectorBuilder({ scoped: true })
+        : this.selectorBuilder,
+      batch !== null
+    );
+    batch?.set(root, pipeline);
+    return pipeline;
+  }
+
+  /**
+   * Resolves the options for a call.
+   * @private
+   * @param {Object} [overrides] - Per-call option overrides
+   * @returns {Object} Resolved options
+   */
+  #resolveCallOptions(overrides) {
+    if (overrides === undefined || overrides === null) {
+      return this.options;
+    }
+    return resolveOptions(this.options, overrides);
+  }
+
+  /**
+   * Normalizes and validates the target element(s) of a call.
+   * Include/exclude examples ({include, exclude}) give the targets and the elements the selector must not match;
+   * otherwise excludes is null and the selector must match exactly the targets.
+   * @private
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>|{include: HTMLElement|SVGElement|Array<HTMLElement|SVGElement>, exclude?: Array<HTMLElement|SVGElement>}} elements - The target element(s), or include/exclude examples
+   * @param {Object} options - Resolved options
+   * @returns {{elements: Array<HTMLElement|SVGElement>, excludes: Array<HTMLElement|SVGElement>|null}} Validated target elements and excluded elements
+   * @throws {Error} If elements are missing or invalid, don't share a document and root, or lie outside the root
+   *   option, or if an element is both included and excluded
    */
-  getSelector(elements) {
+  #normalizeElements(elements, options) {
+    let excludes = null;
+    if (elements !== null && typeof elements === "object" && "include" in elements) {
+      excludes = Array.from(elements.exclude ?? []);
+      elements = elements.include;
+    }
+
     // Handle both single element and array of elements
     const normalizedElements = Array.isArray(elements) ? elements : [elements];
+    if (normalizedElements.length === 0) {
+      throw new Error("At least one element is required");
+    }
 
     // Validate all elements
     for (const element of normalizedElements) {
       ElementValidator.assertValid(element);
     }
 
+    // With a root, every element must be a descendant of it (possibly through shadow roots)
+    if (options.root !== null) {
+      const root = DOMService.toQueryRoot(options.root);
+      for (const element of normalizedElements) {
+        if (!this.#isDescendant(element, root)) {
+          throw new Error("All elements must be descendants of the root option");
+        }
+      }
+    }
+
     // For multiple elements, verify they share a common ancestor
     if (normalizedElements.length > 1) {
       // Check that all elements are connected in the same document
       const firstDoc = normalizedElements[0].ownerDocument;
+      const firstRoot = normalizedElements[0].getRootNode();
       for (let i = 1; i < normalizedElements.length; i++) {
         if (normalizedElements[i].ownerDocument !== firstDoc) {
           throw new Error(
             `All elements must belong to the same document for multi-element selector generation`
           );
         }
+        if (normalizedElements[i].getRootNode() !== firstRoot) {
+          throw new Error(
+            `All elements must belong to the same shadow root for multi-element selector generation`
+          );
+        }
+      }
+    }
+
+    if (excludes !== null) {
+      for (const element of excludes) {
+        ElementValidator.assertValid(element);
+        if (normalizedElements.includes(element)) {
+          throw new Error("An element cannot be both included and excluded");
+        }
+      }
+    }
+
+    return { elements: normalizedElements, excludes };
+  }
+
+  /**
+   * Checks whether an element is a descendant of a root, crossing shadow root boundaries.
+   * @private
+   * @param {Element} element - Element to check
+   * @param {Node} root - Potential ancestor
+   * @returns {boolean} True if root is an ancestor of the element
+   */
+  #isDescendant(element, root) {
+    let node = element.parentNode ?? null;
+    while (node !== null) {
+      if (node === root) {
+        return true;
+      }
+      node = node.parentNode ?? node.host ?? null;
+    }
+    return false;
+  }
+
+  /**
+   * Generates the candidate descriptors of every enabled generator.
+   * With the robustness option, the candidates' costs include their fragility penalty.
+   * Starts the pipeline's time budget; once it runs out, only the essential generators still run
+   * and robustness scoring is skipped. With excluded elements, the pipeline's match results are restricted
+   * to the included and excluded elements until the next generation.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Object} pipeline - Configured pipeline
+   * @param {Array<HTMLElement|SVGElement>|null} [excludes] - Elements the selector must not match (include/exclude mode)
+   * @returns {Generator<undefined, Object<string, Array<SelectorDescriptor>>>} Steps returning the candidate descriptors by generator name, suspended before every generator
+   */
+  *#generateCandidatesByGenerator(elements, pipeline, excludes = null) {
+    const candidates = {};
+
+    // Cached match sets belong to the DOM state of an earlier call, except within a batch
+    if (!pipeline.shared) {
+      pipeline.matchService.reset();
+    }
+    pipeline.matchService.setRelevant(
+      excludes === null ? null : [...elements, ...excludes]
+    );
+    pipeline.budget.start();
+
+    // Text and role candidates can only be expressed as locators
+    const names = GENERATOR_NAMES.filter(
+      (name) =>
+        pipeline.options.outputFormat === "playwright" ||
+        !LOCATOR_GENERATOR_NAMES.includes(name)
+    );
+
+    for (const name of names) {
+      yield;
+      // Essential candidates are always generated, so there is a selector to fall back on
+      if (!ESSENTIAL_GENERATOR_NAMES.includes(name) && pipeline.budget.isExhausted()) {
+        continue;
+      }
+      if (pipeline.options.generators[name]) {
+        // Exclusion generators draw their :not() candidates from the excluded elements, if any
+        let selectors = pipeline.generators[name].generate(elements, excludes);
+
+        // Candidates without an XPath equivalent (e.g. :scope) are dropped in XPath mode
+        if (pipeline.options.outputFormat === "xpath") {
+          selectors = selectors.filter((descriptor) =>
+            pipeline.outputBuilder.supports(descriptor)
+          );
+        }
+
+        // A generator interrupted by the budget leaves incomplete (and often many) candidates
+        if (!ESSENTIAL_GENERATOR_NAMES.includes(name) && pipeline.budget.isExhausted()) {
+          continue;
+        }
+
+        candidates[name] = selectors;
+      }
+    }
+
+    yield;
+    if (pipeline.options.robustness.enabled && !pipeline.budget.isExhausted()) {
+      // Score all candidates at once, so every perturbation clones the DOM only once
+      const scored = pipeline.robustnessEvaluator.evaluate(
+        elements,
+        Object.values(candidates).flat()
+      );
+      for (const name of Object.keys(candidates)) {
+        candidates[name] = scored.splice(0, candidates[name].length);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Lists the volatile-token decisions for the elements and their ancestors within the pipeline's root.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Object} pipeline - Configured pipeline
+   * @returns {Array<{element: Element, level: number, kind: string, name: string|null, token: string, reason: string, action: string}>} Decisions, level 0 for the targets
+   */
+  #collectVolatileDecisions(elements, pipeline) {
+    const root = pipeline.domService.getRoot();
+    const decisions = [];
+    const visited = new Set();
+
+    for (const element of elements) {
+      let level = 0;
+      for (
+        let node = element;
+        node !== null && node !== root && node.nodeType === 1; // Node.ELEMENT_NODE
+        node = node.parentNode, level++
+      ) {
+        if (visited.has(node)) {
+          continue;
+        }
+        visited.add(node);
+        for (const decision of pipeline.generators.local.classifyVolatile(node)) {
+          decisions.push({ element: node, level, ...decision });
+        }
+      }
+    }
+
+    return decisions;
+  }
+
+  /**
+   * Generates all candidate descriptors for the elements with the pipeline's enabled generators.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Object} pipeline - Configured pipeline
+   * @param {Array<HTMLElement|SVGElement>|null} [excludes] - Elements the selector must not match (include/exclude mode)
+   * @returns {Generator<undefined, Array<SelectorDescriptor>>} Steps returning the candidate descriptors
+   */
+  *#generateCandidates(elements, pipeline, excludes = null) {
+    return Object.values(
+      yield* this.#generateCandidatesByGenerator(elements, pipeline, excludes)
+    ).flat();
+  }
+
+  /**
+   * Returns the candidates the optimizer should start from.
+   * In strict test attribute mode, these are the test attribute descriptors of the elements and their
+   * ancestors, as long as together they match exactly the elements; otherwise all candidates.
+   * With the maxCandidates option, only the cheapest candidates are kept, along with the target's tag,
+   * unless they no longer identify the elements together.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} candidates - All candidate descriptors
+   * @param {Object} pipeline - Configured pipeline
+   * @returns {Array<SelectorDescriptor>} Candidate pool
+   */
+  #getCandidatePool(elements, candidates, pipeline) {
+    const { testAttributes, maxCandidates } = pipeline.options;
+    let pool = candidates;
+
+    const testCandidates = candidates.filter(
+      (descriptor) => descriptor.testAttribute !== undefined
+    );
+    if (testAttributes.strict && testCandidates.length > 0) {
+      const matches = pipeline.matchService.query(testCandidates);
+      const isExact =
+        matches.length === elements.length &&
+        elements.every((element) => matches.includes(element));
+      if (isExact) {
+        pool = testCandidates;
+      }
+    }
+
+    if (maxCandidates !== null && pool.length > maxCandidates) {
+      const isTargetTag = (descriptor) =>
+        descriptor.level === 0 && descriptor.type === "tag";
+      const kept = new Set(
+        pool
+          .filter((descriptor) => !isTargetTag(descriptor))
+          .sort((a, b) => a.cost - b.cost)
+          .slice(0, maxCandidates)
+      );
+      const capped = pool.filter(
+        (descriptor) => isTargetTag(descriptor) || kept.has(descriptor)
+      );
+      if (this.#matchesExactly(elements, capped, pipeline)) {
+        pool = capped;
+      }
+    }
+
+    return pool;
+  }
+
+  /**
+   * Checks whether a selector set relies on anything other than test attributes.
+   * The target's tag, which the optimizers always keep, does not count.
+   * @private
+   * @param {Array<SelectorDescriptor>} descriptors - Selector set
+   * @returns {boolean} True if the set fell back to non-test-attribute descriptors
+   */
+  #usesTestAttributeFallback(descriptors) {
+    return descriptors.some(
+      (descriptor) =>
+        descriptor.testAttribute === undefined &&
+        !(descriptor.level === 0 && descriptor.type === "tag")
+    );
+  }
+
+  /**
+   * Runs an optimization and verifies the selector sets it returns against the DOM.
+   * The optimizers evaluate sets through the pipeline's match-set cache; if a returned set
+   * does not match what the cache predicted, the optimization is run again with DOM queries.
+   * Once the time budget has run out, the result is returned unverified.
+   * @private
+   * @param {Object} pipeline - Configured pipeline
+   * @param {Function} optimize - Returns the steps of the optimization (see StepRunner)
+   * @param {Function} getSelectorSets - Returns the selector sets of a result
+   * @returns {Generator} Steps returning the result of the optimization
+   */
+  *#optimizeVerified(pipeline, optimize, getSelectorSets) {
+    const result = yield* optimize();
+    if (pipeline.budget.exhausted) {
+      return result;
+    }
+    const isVerified = getSelectorSets(result).every((selectorSet) =>
+      pipeline.matchService.verify(selectorSet)
+    );
+    return isVerified ? result : yield* pipeline.matchService.withoutCache(optimize());
+  }
+
+  /**
+   * Generates all candidate descriptors and finds the best selector set within the pipeline's root.
+   * In a batch, ancestor descriptors that earlier selectors used as anchors are made cheaper (costs.anchorReuse,
+   * without going below 0, as the optimizers expect non-negative costs), and the anchors of the result are
+   * recorded for the next targets.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Object} pipeline - Configured pipeline
+   * @param {Array<HTMLElement|SVGElement>|null} [excludes] - Elements the selector must not match (include/exclude mode)
+   * @returns {Generator<undefined, Array<SelectorDescriptor>>} Steps returning the optimized selector set
+   */
+  *#findBestSelectorSet(elements, pipeline, excludes = null) {
+    const optimizer = pipeline.optimizers[pipeline.options.optimizer];
+    let candidates = yield* this.#generateCandidates(elements, pipeline, excludes);
+
+    const { anchors } = pipeline;
+    const getAnchor = (descriptor) =>
+      descriptor.level > 0 ? this.#getAncestor(elements[0], descriptor.level) : null;
+    if (anchors !== null && elements.length === 1) {
+      candidates = candidates.map((descriptor) =>
+        anchors.get(getAnchor(descriptor))?.has(descriptor.selector)
+          ? { ...descriptor, cost: Math.max(0, descriptor.cost + pipeline.options.costs.anchorReuse) }
+          : descriptor
+      );
+    }
+
+    const pool = this.#getCandidatePool(elements, candidates, pipeline);
+    let selectorSet = yield* this.#optimizeVerified(
+      pipeline,
+      () => optimizer.findBestSteps(elements, pool),
+      (selectorSet) => [selectorSet]
+    );
+    if (pipeline.budget.exhausted) {
+      selectorSet = this.#completePartial(elements, selectorSet, pool, pipeline);
+    }
+
+    if (anchors !== null && elements.length === 1) {
+      for (const descriptor of selectorSet) {
+        const anchor = getAnchor(descriptor);
+        if (anchor !== null) {
+          if (!anchors.has(anchor)) {
+            anchors.set(anchor, new Set());
+          }
+          anchors.get(anchor).add(descriptor.selector);
+        }
+      }
+    }
+
+    return selectorSet;
+  }
+
+  /**
+   * Improves a selector set cut short by the time budget, with bounded work: only the elements' tag and the tag
+   * with a single level-0 local candidate (ID, class or attribute) are tried, through the match-set cache.
+   * An interrupted optimizer returns the set it has so far: often most of an over-built pool, or with the
+   * bottom-up optimizer a set that is not unique yet, while a local candidate alone may already be unique.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} selectorSet - Set returned by the interrupted optimizer (may be empty)
+   * @param {Array<SelectorDescriptor>} pool - Candidate pool the optimizer ran on
+   * @param {Object} pipeline - Configured pipeline
+   * @returns {Array<SelectorDescriptor>} The cheapest of selectorSet and the unique local sets; if none is unique,
+   *   selectorSet, or the elements' tag if selectorSet is empty
+   */
+  #completePartial(elements, selectorSet, pool, pipeline) {
+    const getCost = (set) => set.reduce((sum, descriptor) => sum + descriptor.cost, 0);
+
+    const tags = pool.filter((descriptor) => descriptor.level === 0 && descriptor.type === "tag");
+    const locals = pool
+      .filter(
+        (descriptor) =>
+          descriptor.level === 0 && ["id", "class", "attr"].includes(descriptor.type)
+      )
+      .sort((a, b) => a.cost - b.cost);
+
+    // Cheapest first, so the first unique local set is the cheapest one
+    const localSet = [
+      tags,
+      ...locals.map((local) =>
+        pool.filter((descriptor) => descriptor === local || tags.includes(descriptor))
+      ),
+    ].find((set) => set.length > 0 && this.#matchesExactly(elements, set, pipeline));
+
+    const isExact =
+      selectorSet.length > 0 && this.#matchesExactly(elements, selectorSet, pipeline);
+    if (localSet !== undefined && (!isExact || getCost(localSet) < getCost(selectorSet))) {
+      return localSet;
+    }
+    return selectorSet.length > 0 ? selectorSet : tags;
+  }
+
+  /**
+   * Checks whether a selector set matches exactly the target elements, through the match-set cache.
+   * In include/exclude mode, only the included and excluded elements are matched, so the set must match
+   * the includes and none of the excludes.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
+   * @param {Object} pipeline - Configured pipeline
+   * @returns {boolean} True if the set matches the elements and no other (relevant) element
+   */
+  #matchesExactly(elements, selectorSet, pipeline) {
+    const matches = new Set(pipeline.matchService.match(selectorSet));
+    return matches.size === elements.length && elements.every((element) => matches.has(element));
+  }
+
+  /**
+   * Returns the ancestor of an element at a descriptor level, as the parent generator counts them.
+   * @private
+   * @param {HTMLElement|SVGElement} element - The element (level 0)
+   * @param {number} level - Number of parent elements to go up
+   * @returns {Element|null} The ancestor, or null if there are fewer ancestors
+   */
+  #getAncestor(element, level) {
+    let node = element;
+    for (let i = 0; i < level && node !== null; i++) {
+      node = node.parentElement;
+    }
+    return node;
+  }
+
+  /**
+   * Generates one selector per root, from the element's document down to the root containing the elements.
+   * Each selector is unique within its own root; every host is selected in the root that contains it.
+   * The outermost selector is unique within the element's own document, which may be an iframe's document,
+   * or within the root option when one is given.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Object} options - Resolved options
+   * @param {Array<HTMLElement|SVGElement>|null} [excludes] - Elements the innermost selector must not match (include/exclude mode)
+   * @param {{partial: boolean, exact: boolean}|null} [report] - Receives whether the time budget ran out for the
+   *   innermost selector, and whether it matches exactly the elements
+   * @returns {Generator<undefined, Array<string>>} Steps returning the per-root selectors, outermost first
+   * @throws {Error} If an element sits inside a closed shadow root
+   */
+  *#getSelectorChain(elements, options, excludes = null, report = null) {
+    const { outerChain, pipeline } = yield* this.#getScope(elements, options);
+    const selectorSet = yield* this.#findBestSelectorSet(elements, pipeline, excludes);
+    if (report !== null) {
+      report.partial = pipeline.budget.exhausted;
+      report.exact = this.#matchesExactly(elements, selectorSet, pipeline);
+    }
+
+    return [...outerChain, pipeline.outputBuilder.build(selectorSet)];
+  }
+
+  /**
+   * Finds the root the elements' own selector must be unique within, and the selectors leading to it.
+   * That root is the elements' shadow root, their document (an iframe's document for elements in frames)
+   * or the root option. For shadow roots, the hosts are selected recursively in the roots containing them.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Object} options - Resolved options
+   * @returns {Generator<undefined, {outerChain: Array<string>, pipeline: Object}>} Steps returning the selectors of the enclosing roots, outermost first, and the pipeline for the elements' root
+   * @throws {Error} If an element sits inside a closed shadow root, or in a shadow root with XPath or locator output
+   */
+  *#getScope(elements, options) {
+    const root = elements[0].getRootNode();
+
+    const scope =
+      options.root === null ? null : DOMService.toQueryRoot(options.root);
+    const scopeRootNode = scope === null ? null : scope.getRootNode();
+
+    if (DOMService.isShadowRoot(root) && root !== scopeRootNode) {
+      if (root.mode === "closed") {
+        throw new Error(
+          "Cannot generate a selector for an element inside a closed shadow root"
+        );
+      }
+      if (options.outputFormat === "xpath") {
+        throw new Error(
+          "Cannot generate an XPath for an element inside a shadow root"
+        );
+      }
+      if (options.outputFormat === "playwright") {
+        throw new Error(
+          "Cannot generate a locator for an element inside a shadow root"
+        );
+      }
+
+      return {
+        outerChain: yield* this.#getSelectorChain([root.host], options),
+        pipeline: this.#getPipeline(options, root),
+      };
+    }
+
+    // Disconnected elements have no document root; query their owner document
+    let queryRoot = root.nodeType === 9 ? root : elements[0].ownerDocument; // Node.DOCUMENT_NODE
+    if (scope !== null) {
+      queryRoot = scope;
+    }
+    return { outerChain: [], pipeline: this.#getPipeline(options, queryRoot) };
+  }
+
+  /**
+   * Generates an optimal CSS selector for the given element(s).
+   * For a single element, generates a unique selector matching only that element.
+   * For multiple elements, generates a selector matching all of them (and only them).
+   * With include/exclude examples, the selector matches all included elements and none of the excluded ones,
+   * and may match any other element.
+   * Elements can be at any level in the DOM tree as long as they share a common ancestor.
+   * Elements inside open shadow roots get a selector per root, joined with >>>
+   * (or returned as an array when shadowOutput is "chain"); see SelectorResolver.
+   * Elements inside same-origin iframes are selected within their own document;
+   * with the framePath option, the result is an array with a selector per iframe followed by the inner selector.
+   * With the root option, the selector is unique within that container; element roots give :scope-anchored selectors.
+   * With outputFormat "xpath", an equivalent XPath expression is returned, checked with document.evaluate.
+   * With outputFormat "playwright", a Playwright-style locator is returned, which may use text and role candidates.
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>|Object} elements - The target element(s), or include/exclude examples ({include, exclude})
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @param {boolean} [overrides.reportPartial] - Return {selector, partial, exact} instead of the selector alone,
+   *   partial telling whether the time budget ran out and exact whether the selector matches exactly the element(s)
+   * @returns {string|Array|{selector: string|Array, partial: boolean, exact: boolean}} CSS selector string that
+   *   uniquely identifies the element(s); if the enabled generators cannot tell them apart (e.g. with too few
+   *   generators enabled, or for elements outside their document), the best selector found
+   * @throws {Error} If elements are missing or invalid, or don't share a common ancestor
+   */
+  getSelector(elements, overrides) {
+    const { reportPartial = false, ...rest } = overrides ?? {};
+    const options = this.#resolveCallOptions(
+      Object.keys(rest).length > 0 ? rest : undefined
+    );
+    const report = { partial: false, exact: true };
+    const selector = StepRunner.run(this.#getSelectorSteps(elements, options, report));
+    return reportPartial ? { selector, ...report } : selector;
+  }
+
+  /**
+   * Generates the same selector as getSelector(), without blocking the main thread for long:
+   * the work is done in slices, yielding to the event loop in between, at most between two generators,
+   * two candidate queries or two optimizer iterations. Every call builds its own pipeline, so concurrent calls do not share
+   * state; the DOM is assumed not to change until the call settles.
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>|Object} elements - The target element(s), or include/exclude examples ({include, exclude})
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @param {AbortSignal} [overrides.signal] - Signal to cancel the call, e.g. when another element is hovered
+   * @param {boolean} [overrides.reportPartial] - Resolve with {selector, partial, exact}, as in getSelector()
+   * @returns {Promise<string|Array|{selector: string|Array, partial: boolean, exact: boolean}>} Resolves with the selector, as getSelector() returns it
+   * @throws {Error} Rejects if elements are invalid, or with the signal's reason when aborted
+   */
+  async getSelectorAsync(elements, overrides) {
+    const { signal = null, reportPartial = false, ...rest } = overrides ?? {};
+    const options = resolveOptions(this.options, rest);
+    const report = { partial: false, exact: true };
+    const selector = await StepRunner.runAsync(
+      this.#getSelectorSteps(elements, options, report),
+      signal
+    );
+    return reportPartial ? { selector, ...report } : selector;
+  }
+
+  /**
+   * Generates the selector of getSelector().
+   * @private
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>|Object} elements - The target element(s), or include/exclude examples ({include, exclude})
+   * @param {Object} options - Resolved options
+   * @param {{partial: boolean, exact: boolean}|null} [report] - Receives whether the time budget ran out and
+   *   whether the selector matches exactly the elements
+   * @returns {Generator<undefined, string|Array>} Steps returning the selector
+   */
+  *#getSelectorSteps(elements, options, report = null) {
+    const { elements: normalizedElements, excludes } = this.#normalizeElements(
+      elements,
+      options
+    );
+
+    const selector = this.#formatChain(
+      yield* this.#getSelectorChain(normalizedElements, options, excludes, report),
+      options
+    );
+
+    return yield* this.#addFramePath(selector, normalizedElements[0], options);
+  }
+
+  /**
+   * Generates a selector for each of many elements, sharing work between them.
+   * The local, exclusion and sibling descriptors of ancestors and siblings are computed once, and the match sets
+   * of descriptors are queried once for the whole batch. Elements are processed in the given order; once a selector
+   * anchors on an ancestor descriptor (e.g. #sidebar), that descriptor is preferred for the other elements under the
+   * same ancestor, so elements of a region share their anchor. Every selector is checked to match only its element.
+   * The DOM must not change during the call.
+   * @param {Iterable<HTMLElement|SVGElement>} elements - The target elements, e.g. a NodeList
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @returns {Map<HTMLElement|SVGElement, string|Array>} Selector of every element, as getSelector() returns it
+   * @throws {Error} If an element is invalid, or no selector matching only the element is found
+   */
+  getSelectorsForAll(elements, overrides) {
+    // Own options, so the batch never uses the instance pipeline
+    const options = resolveOptions(this.options, overrides ?? {});
+    const targets = Array.from(elements);
+    for (const element of targets) {
+      ElementValidator.assertValid(element);
+      this.#normalizeElements(element, options);
+    }
+
+    const results = new Map();
+    this.#withSharedPipelines(() => {
+      for (const element of targets) {
+        if (results.has(element)) {
+          continue;
+        }
+
+        const { outerChain, pipeline } = StepRunner.run(this.#getScope([element], options));
+        const selectorSet = StepRunner.run(this.#findBestSelectorSet([element], pipeline));
+
+        const matches = pipeline.matchService.query(selectorSet);
+        if (matches.length !== 1 || matches[0] !== element) {
+          throw new Error(
+            `No unique selector found for element ${targets.indexOf(element)} of the batch`
+          );
+        }
+
+        const selector = this.#formatChain(
+          [...outerChain, pipeline.outputBuilder.build(selectorSet)],
+          options
+        );
+        results.set(element, StepRunner.run(this.#addFramePath(selector, element, options)));
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Generalizes from example elements to all similar ones, e.g. from two picked items to a whole list.
+   * The repeating pattern of the examples (see RepeatingPatternFinder) gives the similar elements: the elements
+   * at the examples' path in every record of the pattern. They get a selector as in multi-element mode,
+   * with descriptors of shared ancestors computed once. The match count lets the caller confirm the guess;
+   * it exceeds the number of similar elements when no candidate combination matches exactly them.
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>} examples - Example element(s)
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @returns {{selector: string|Array, elements: Array<HTMLElement|SVGElement>, matchCount: number, container: Element}} Selector, similar elements (including the examples), number of elements the selector matches, and the element holding the records
+   * @throws {Error} If the examples are invalid or do not share a repeating structure
+   */
+  generalize(examples, overrides) {
+    const options = this.#resolveCallOptions(overrides);
+    const { elements: normalizedExamples } = this.#normalizeElements(examples, options);
+
+    const { container, elements } = new RepeatingPatternFinder(applyPresets(options)).find(
+      normalizedExamples
+    );
+    const { elements: targets } = this.#normalizeElements(elements, options);
+
+    return this.#withSharedPipelines(() => {
+      const { outerChain, pipeline } = StepRunner.run(this.#getScope(targets, options));
+      const selector = pipeline.outputBuilder.build(
+        StepRunner.run(this.#findBestSelectorSet(targets, pipeline))
+      );
+
+      return {
+        selector: StepRunner.run(
+          this.#addFramePath(
+            this.#formatChain([...outerChain, selector], options),
+            targets[0],
+            options
+          )
+        ),
+        elements: targets,
+        matchCount:
+          selector === "" ? 0 : pipeline.outputDomService.querySelectorAll(selector).length,
+        container,
+      };
+    });
+  }
+
+  /**
+   * Runs a callback with shared pipelines: one per query root for the whole callback, memoizing the descriptors
+   * of ancestors and siblings and keeping match sets (see #createPipeline). The DOM must not change meanwhile.
+   * @private
+   * @param {Function} callback - Callback to run
+   * @returns {*} The callback's result
+   */
+  #withSharedPipelines(callback) {
+    this.#batchPipelines = new Map();
+    try {
+      return callback();
+    } finally {
+      this.#batchPipelines = null;
+    }
+  }
+
+  /**
+   * Repairs a stored selector that no longer matches, e.g. after a UI change.
+   * The selector is relaxed step by step until it matches again (see SelectorRepairer); the most likely
+   * intended element among the matches then gets a new selector as with getSelector(). A selector that still
+   * matches a single element yields that element with confidence 1 and no changes.
+   * @param {string|Array<string>} oldSelector - Stored CSS selector, shadow-piercing selector or per-root selector chain
+   * @param {Object|null} [fingerprint] - Fingerprint of the intended element from getFingerprint(), or some of its traits, used to pick among the matches
+   * @param {Object} [overrides] - Per-call options, merged over the instance options; the root option limits the search
+   * @returns {{selector: string|Array, element: HTMLElement|SVGElement, confidence: number, changes: Array<{type: string, part: number, selector: string}>}} New selector, intended element,
+   *   confidence from 0 to 1, and the parts of the old selector that were relaxed to find the element
+   * @throws {Error} If the old selector is not a CSS selector, or no relaxation of it matches,
+   *   or if there is neither a root option nor a global document
+   */
+  repair(oldSelector, fingerprint = null, overrides) {
+    const options = this.#resolveCallOptions(overrides);
+    const { element, confidence, changes } = SelectorRepairer.repair(
+      oldSelector,
+      this.#getSearchRoot(options.root),
+      fingerprint
+    );
+
+    return {
+      selector: this.getSelector(element, overrides),
+      element,
+      confidence,
+      changes,
+    };
+  }
+
+  /**
+   * Creates a serializable fingerprint of an element, to store along with its selector (see ElementFingerprint).
+   * Its ancestor descriptors are the parent generator's local descriptors, so blacklists, presets,
+   * the volatile option and the root option apply as for selectors.
+   * @param {HTMLElement|SVGElement} element - The element
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @returns {{tag: string, id: string|null, classes: Array<string>, attributes: Object<string, string>, text: string, siblingIndex: number, ancestors: Array<SelectorDescriptor>}} Fingerprint, plain JSON data
+   * @throws {Error} If the element is invalid
+   */
+  getFingerprint(element, overrides) {
+    const options = this.#resolveCallOptions(overrides);
+    const { elements: [target] } = this.#normalizeElements(element, options);
+    const pipeline = this.#getPipeline(
+      options,
+      options.root === null ? target.ownerDocument : DOMService.toQueryRoot(options.root)
+    );
+    return ElementFingerprint.create(target, pipeline.generators.parent, pipeline.options);
+  }
+
+  /**
+   * Finds the element most similar to a fingerprint, e.g. when every stored selector fails.
+   * Every element under the root is scored; check the score before trusting the match.
+   * @param {Object} fingerprint - Fingerprint from getFingerprint(), or some of its traits
+   * @param {Document|DocumentFragment|Element|null} [root] - Node to search (defaults to the global document)
+   * @returns {{element: Element, score: number}|null} Best match and its similarity from 0 to 1, or null if the root has no elements
+   * @throws {Error} If there is neither a root nor a global document
+   */
+  locate(fingerprint, root = null) {
+    return ElementFingerprint.locate(fingerprint, this.#getSearchRoot(root));
+  }
+
+  /**
+   * Returns the node to search for repair() and locate().
+   * @private
+   * @param {Document|DocumentFragment|Element|null} root - Given root, null for the global document
+   * @returns {Document|DocumentFragment|Element} Query root
+   * @throws {Error} If there is neither a root nor a global document (e.g. in Node.js)
+   */
+  #getSearchRoot(root) {
+    const searchRoot = root ?? this.domService.getRoot();
+    if (searchRoot === null) {
+      throw new Error("There is no global document; pass the root to search");
+    }
+    return DOMService.toQueryRoot(searchRoot);
+  }
+
+  /**
+   * Generates several distinct selectors for the given element(s), ranked by cost.
+   * Each selector matches exactly the target elements; alternatives differ in the descriptors they rely on
+   * (e.g. one ID-based, one attribute-based, one structural), not just in their order. If none does, the result
+   * is the best selector found, as getSelector() returns it, with exact set to false.
+   * Enclosing shadow hosts and iframes are selected with their best selector, as in getSelector().
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>|Object} elements - The target element(s), or include/exclude examples ({include, exclude})
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @param {number} [overrides.count] - Maximum number of selectors to return
+   * @returns {Array<{selector: string|Array, descriptors: Array<SelectorDescriptor>, cost: number, matchCount: number, testAttributeFallback: boolean, partial: boolean, exact: boolean, volatile: Array<Object>}>} Selectors, cheapest first, each telling whether it relies on more than test attributes, whether the time budget ran out and whether it matches exactly the elements, with the volatile-token decisions for the elements and their ancestors
+   * @throws {Error} If elements are missing or invalid, or count is not a positive integer
+   */
+  getSelectors(elements, overrides) {
+    const { count = DEFAULT_SELECTOR_COUNT, ...rest } = overrides ?? {};
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`count must be a positive integer, got ${count}`);
+    }
+
+    const options = this.#resolveCallOptions(
+      Object.keys(rest).length > 0 ? rest : undefined
+    );
+    const { elements: normalizedElements, excludes } = this.#normalizeElements(
+      elements,
+      options
+    );
+
+    const { outerChain, pipeline } = StepRunner.run(
+      this.#getScope(normalizedElements, options)
+    );
+    const optimizer = new AlternativeSelectorOptimizer(
+      pipeline.optimizers[options.optimizer],
+      pipeline.matchService,
+      pipeline.outputBuilder,
+      pipeline.budget
+    );
+    const pool = this.#getCandidatePool(
+      normalizedElements,
+      StepRunner.run(this.#generateCandidates(normalizedElements, pipeline, excludes)),
+      pipeline
+    );
+    let alternatives = StepRunner.run(
+      this.#optimizeVerified(
+        pipeline,
+        function* () {
+          return optimizer.findAlternatives(normalizedElements, pool, count);
+        },
+        (results) => results.map((result) => result.descriptors)
+      )
+    );
+    const partial = pipeline.budget.exhausted;
+    if (partial) {
+      const completed = this.#completePartial(normalizedElements, [], pool, pipeline);
+      const evaluation = optimizer.evaluate(normalizedElements, completed);
+      if (
+        evaluation !== null &&
+        evaluation.matchCount === normalizedElements.length &&
+        !alternatives.some((alternative) => alternative.selector === evaluation.selector)
+      ) {
+        alternatives = [...alternatives, { descriptors: completed, ...evaluation }]
+          .sort((a, b) => a.cost - b.cost)
+          .slice(0, count);
       }
     }
+    if (alternatives.length === 0) {
+      // Nothing matches exactly the elements: the configured optimizer's best effort, as in getSelector()
+      const descriptors = StepRunner.run(
+        pipeline.optimizers[options.optimizer].findBestSteps(normalizedElements, pool)
+      );
+      alternatives = [
+        {
+          descriptors,
+          selector: pipeline.outputBuilder.build(descriptors),
+          cost: descriptors.reduce((sum, descriptor) => sum + descriptor.cost, 0),
+          matchCount: pipeline.matchService.match(descriptors).length,
+        },
+      ];
+    }
+    const volatile = this.#collectVolatileDecisions(normalizedElements, pipeline);
 
-    let selectors = [];
+    return alternatives.map(({ descriptors, selector, cost, matchCount }) => ({
+      selector: StepRunner.run(
+        this.#addFramePath(
+          this.#formatChain([...outerChain, selector], options),
+          normalizedElements[0],
+          options
+        )
+      ),
+      descriptors,
+      cost,
+      matchCount,
+      testAttributeFallback: this.#usesTestAttributeFallback(descriptors),
+      partial,
+      exact: this.#matchesExactly(normalizedElements, descriptors, pipeline),
+      volatile,
+    }));
+  }
 
-    selectors = selectors.concat(this.localGenerator.generate(normalizedElements));
-    selectors = selectors.concat(this.exclusionGenerator.generate(normalizedElements));
-    selectors = selectors.concat(this.childrenGenerator.generate(normalizedElements));
-    selectors = selectors.concat(this.siblingGenerator.generate(normalizedElements));
-    selectors = selectors.concat(this.parentGenerator.generate(normalizedElements));
-    selectors = selectors.concat(this.childrenExclusionGenerator.generate(normalizedElements));
+  /**
+   * Explains how the selector for the given element(s) was found.
+   * Returns the candidate pool of every generator, the removals the top-down optimizer attempted
+   * (with the match count after each one), the final descriptors with their costs and the
+   * volatile-token decisions for the elements and their ancestors.
+   * The selector and descriptors come from the configured optimizer, as in getSelector(). Only the top-down
+   * optimizer records a trace, so it is traced over the same pool regardless of the optimizer option
+   * (tracedOptimizer). With the hybrid optimizer, the timing and results of its stages are reported as stages.
+   * Enclosing shadow hosts and iframes are selected as in getSelector(), but not traced.
+   * @param {HTMLElement|SVGElement|Array<HTMLElement|SVGElement>|Object} elements - The target element(s), or include/exclude examples ({include, exclude})
+   * @param {Object} [overrides] - Per-call options, merged over the instance options
+   * @returns {{selector: string|Array, candidates: Object<string, Array<SelectorDescriptor>>, tracedOptimizer: string, initial: {selector: string, matchCount: number}|null, attempts: Array<Object>, failure: Object|null, descriptors: Array<SelectorDescriptor>, cost: number, matchCount: number, testAttributeFallback: boolean, partial: boolean, stages: Array<Object>|null, volatile: Array<Object>}} Structured trace, see OptimizerTrace for initial, attempts and failure, and HybridSelectorOptimizer.findBest() for stages
+   * @throws {Error} If elements are invalid or don't share a common ancestor
+   */
+  explain(elements, overrides) {
+    const options = this.#resolveCallOptions(overrides);
+    const { elements: normalizedElements, excludes } = this.#normalizeElements(
+      elements,
+      options
+    );
 
-    /*
-    // Try bottom-up optimization first (fast, works for most cases)
-    let bestSelectorSet = this.bottomUpOptimizer.findBest(normalizedElements, selectors);
-    let value = this.bottomUpOptimizer.getValue(normalizedElements, bestSelectorSet);
+    const { outerChain, pipeline } = StepRunner.run(
+      this.#getScope(normalizedElements, options)
+    );
+    const candidates = StepRunner.run(
+      this.#generateCandidatesByGenerator(normalizedElements, pipeline, excludes)
+    );
+
+    const pool = this.#getCandidatePool(
+      normalizedElements,
+      Object.values(candidates).flat(),
+      pipeline
+    );
 
-    // If bottom-up didn't find a unique selector, try top-down
-    if (value !== normalizedElements.length) {
-      bestSelectorSet = this.topDownOptimizer.findBest(normalizedElements, selectors);
+    // The configured optimizer gives the result; the top-down optimizer, which records a trace, explains it
+    const { descriptors: optimized, stages, partial, trace } = StepRunner.run(
+      this.#optimizeVerified(
+        pipeline,
+        function* () {
+          const { optimizers } = pipeline;
+          const optimizerTrace = DebugOptimizer.createTrace();
+          let stages = null;
+          let descriptors;
+          if (options.optimizer === "top-down") {
+            descriptors = yield* optimizers["top-down"].findBestSteps(
+              normalizedElements,
+              pool,
+              optimizerTrace
+            );
+          } else if (options.optimizer === "hybrid") {
+            stages = [];
+            descriptors = yield* optimizers.hybrid.findBestSteps(normalizedElements, pool, stages);
+          } else {
+            descriptors = yield* optimizers[options.optimizer].findBestSteps(normalizedElements, pool);
+          }
+          const partial = pipeline.budget.exhausted;
+
+          if (options.optimizer !== "top-down") {
+            yield* optimizers["top-down"].findBestSteps(normalizedElements, pool, optimizerTrace);
+          }
+          return { descriptors, stages, partial, trace: optimizerTrace };
+        },
+        (result) => [result.descriptors]
+      )
+    );
+
+    const descriptors = partial
+      ? this.#completePartial(normalizedElements, optimized, pool, pipeline)
+      : optimized;
+    const selector = pipeline.outputBuilder.build(descriptors);
+    const matchCount = selector === ""
+      ? 0
+      : pipeline.outputDomService.querySelectorAll(selector).length;
+
+    return {
+      selector: StepRunner.run(
+        this.#addFramePath(
+          this.#formatChain([...outerChain, selector], options),
+          normalizedElements[0],
+          options
+        )
+      ),
+      candidates,
+      tracedOptimizer: "top-down",
+      ...trace,
+      descriptors,
+      cost: descriptors.reduce((sum, descriptor) => sum + descriptor.cost, 0),
+      matchCount,
+      testAttributeFallback: this.#usesTestAttributeFallback(descriptors),
+      partial,
+      stages,
+      volatile: this.#collectVolatileDecisions(normalizedElements, pipeline),
+    };
+  }
+
+  /**
+   * Prepends a selector for every enclosing iframe when the framePath option is set.
+   * @private
+   * @param {string|Array<string>} selector - Formatted selector of the element(s) within their document
+   * @param {HTMLElement|SVGElement} element - One of the target elements
+   * @param {Object} options - Resolved options
+   * @returns {Generator<undefined, string|Array>} Steps returning the selector, or the frame path ending with it
+   */
+  *#addFramePath(selector, element, options) {
+    if (!options.framePath) {
+      return selector;
     }
-    */
 
-    let bestSelectorSet = this.topDownOptimizer.findBest(normalizedElements, selectors);
+    // Prepend a selector for every iframe, each unique within the document that contains it
+    const framePath = [selector];
+    let frame = this.#getFrameElement(element);
+    while (frame !== null) {
+      framePath.unshift(
+        this.#formatChain(yield* this.#getSelectorChain([frame], options), options)
+      );
+      frame = this.#getFrameElement(frame);
+    }
 
-    const selector = this.selectorBuilder.build(bestSelectorSet);
+    return framePath;
+  }
+
+  /**
+   * Formats a per-root selector chain according to the shadowOutput option.
+   * @private
+   * @param {Array<string>} chain - Per-root selectors, outermost first
+   * @param {Object} options - Resolved options
+   * @returns {string|Array<string>} Shadow-piercing selector, or the chain itself
+   */
+  #formatChain(chain, options) {
+    if (options.shadowOutput === "chain") {
+      return chain;
+    }
+    return SelectorResolver.join(chain);
+  }
 
-    return selector;
+  /**
+   * Returns the iframe element that embeds an element's document.
+   * Returns null in the top document and when the parent document is cross-origin.
+   * @private
+   * @param {HTMLElement|SVGElement} element - Element inside the frame
+   * @returns {HTMLIFrameElement|null} Embedding iframe or null
+   */
+  #getFrameElement(element) {
+    const view = element.ownerDocument.defaultView;
+    return view ? view.frameElement ?? null : null;
   }
 }
@@ -0,0 +1,73 @@
+import { SelectorParser } from "../utils/SelectorParser.js";
+
+/**
+ * Separator between the parts of a chained locator.
+ */
+export const LOCATOR_SEPARATOR = " >> ";
+
+/**
+ * Builds Playwright-style locator strings from selector descriptor sets.
+ * CSS descriptors become a css= part; text and role descriptors of the target become
+ * text="..." and role=...[name="..."] parts, scoped by a css= part built from the ancestor descriptors.
+ */
+export class LocatorBuilder {
+  /**
+   * Creates a LocatorBuilder instance.
+   * @param {SelectorBuilder} selectorBuilder - Builder for the CSS parts
+   */
+  constructor(selectorBuilder) {
+    this.selectorBuilder = selectorBuilder;
+  }
+
+  /**
+   * Builds a locator string from a set of selector descriptors.
+   * When the target has no CSS descriptors other than its tag, a role descriptor becomes a role= part,
+   * or else a text descriptor becomes a text="..." part. Otherwise the role descriptor is left out and the
+   * text descriptor becomes a :text-is() pseudo-class inside the css= part.
+   * @param {Array<SelectorDescriptor>} selectorSet - Array of selector descriptors
+   * @returns {string} Locator string, e.g. css=ul.menu >> role=button[name="Save"]
+   */
+  build(selectorSet) {
+    const roleSelector = selectorSet.find((x) => x.type === "role" && x.level <= 0);
+    const textSelector = selectorSet.find((x) => x.type === "text" && x.level <= 0);
+    const cssSelectors = selectorSet.filter((x) => x.type !== "role" && x.type !== "text");
+    const targetCssSelectors = cssSelectors.filter((x) => x.level <= 0);
+    const parentSelectors = cssSelectors.filter((x) => x.level > 0);
+
+    // Role and text parts cannot be combined with further conditions on the target
+    const useEngine =
+      (roleSelector !== undefined || textSelector !== undefined) &&
+      targetCssSelectors.every((x) => x.type === "tag");
+
+    if (!useEngine) {
+      let css = this.selectorBuilder.build(cssSelectors);
+      if (textSelector !== undefined) {
+        // The target compound is the last one, so the pseudo-class can be appended
+        css += textSelector.selector;
+      }
+      return "css=" + css;
+    }
+
+    const parts = [];
+
+    if (parentSelectors.length > 0) {
+      // The nearest ancestor level becomes the subject of the scoping css= part
+      const minLevel = Math.min(...parentSelectors.map((x) => x.level));
+      parts.push(
+        "css=" +
+          this.selectorBuilder.build(
+            parentSelectors.map((x) => ({ ...x, level: x.level - minLevel }))
+          )
+      );
+    }
+
+    if (roleSelector !== undefined) {
+      parts.push("role=" + roleSelector.selector);
+    } else {
+      const [pseudo] = SelectorParser.parseCompound(textSelector.selector);
+      parts.push("text=" + JSON.stringify(SelectorParser.unquote(pseudo.argument)));
+    }
+
+    return parts.join(LOCATOR_SEPARATOR);
+  }
+}
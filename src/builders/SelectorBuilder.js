@@ -2,6 +2,15 @@
  * Builds CSS selector strings from selector descriptor sets.
  */
 export class SelectorBuilder {
+  /**
+   * Creates a SelectorBuilder instance.
+   * @param {Object} [options] - Builder options
+   * @param {boolean} [options.scoped] - Anchor selectors to :scope, for queries run against an element root
+   */
+  constructor({ scoped = false } = {}) {
+    this.scoped = scoped;
+  }
+
   /**
    * Builds a selector string from a set of selectors at the same level.
    * Merges them in proper type order: tag -> id -> class -> attr -> pseudo
@@ -27,6 +36,7 @@ export class SelectorBuilder {
 
   /**
    * Builds a complete CSS selector string from a set of selector descriptors.
+   * Scoped builders prefix the selector with ":scope " unless the set already contains the :scope descriptor.
    * @param {Array<SelectorDescriptor>} selectorSet - Array of selector descriptors
    * @returns {string} CSS selector string
    */
@@ -88,6 +98,10 @@ export class SelectorBuilder {
       }
     }
 
+    if (this.scoped && !selectorSet.some((x) => x.selector === ":scope")) {
+      selector = ":scope " + selector;
+    }
+
     return selector;
   }
 }
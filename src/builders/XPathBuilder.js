@@ -0,0 +1,349 @@
+import { SelectorParser } from "../utils/SelectorParser.js";
+
+/**
+ * Axes used to walk from a compound to the next one in a relative selector (:has() arguments).
+ */
+const FORWARD_AXES = {
+  " ": "descendant::",
+  ">": "",
+  "~": "following-sibling::",
+  "+": "following-sibling::*[1]/self::",
+};
+
+/**
+ * Axes used to walk from a compound back to the previous one in a complex selector (:is() arguments).
+ */
+const REVERSE_AXES = {
+  " ": "ancestor::",
+  ">": "parent::",
+  "~": "preceding-sibling::",
+  "+": "preceding-sibling::*[1]/self::",
+};
+
+/**
+ * Names that can be used in XPath name tests and attribute steps without quoting.
+ */
+const XPATH_NAME_REGEX = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Builds XPath expressions from selector descriptor sets.
+ * Mirrors SelectorBuilder: levels become location steps, and the CSS fragments of the
+ * descriptors (tag, id, class, attr and the sibling/children pseudo-classes) become predicates.
+ */
+export class XPathBuilder {
+  /**
+   * Creates an XPathBuilder instance for a document.
+   * Tags used by SVG or MathML elements are matched with local-name(), since unprefixed
+   * name tests only match HTML elements in HTML documents; in XML documents every tag is.
+   * @param {Document} document - Document the expressions will be evaluated in
+   * @returns {XPathBuilder} Builder for the document
+   */
+  static forDocument(document) {
+    const isHtml = document.contentType === "text/html";
+    const foreignTags = new Set();
+
+    if (isHtml) {
+      for (const element of document.querySelectorAll("svg, svg *, math, math *")) {
+        foreignTags.add(element.localName);
+      }
+    }
+
+    return new XPathBuilder({ foreignTags, xmlDocument: !isHtml });
+  }
+
+  /**
+   * Creates an XPathBuilder instance.
+   * @param {Object} [options] - Builder options
+   * @param {Set<string>} [options.foreignTags] - Tags to match with local-name() instead of a name test
+   * @param {boolean} [options.xmlDocument] - Match every tag with local-name()
+   */
+  constructor({ foreignTags = new Set(), xmlDocument = false } = {}) {
+    this.foreignTags = foreignTags;
+    this.xmlDocument = xmlDocument;
+  }
+
+  /**
+   * Checks whether a descriptor can be expressed in XPath.
+   * @param {SelectorDescriptor} descriptor - Selector descriptor
+   * @returns {boolean} True if build() can translate the descriptor
+   */
+  supports(descriptor) {
+    try {
+      this.#buildStep([descriptor]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Builds a complete XPath expression from a set of selector descriptors.
+   * @param {Array<SelectorDescriptor>} selectorSet - Array of selector descriptors
+   * @returns {string} XPath expression
+   * @throws {Error} If a descriptor cannot be expressed in XPath
+   */
+  build(selectorSet) {
+    // Group descriptors by level, the target level (<= 0) first
+    const levelMap = new Map([[0, []]]);
+    for (const descriptor of selectorSet) {
+      const level = Math.max(descriptor.level, 0);
+      if (!levelMap.has(level)) {
+        levelMap.set(level, []);
+      }
+      levelMap.get(level).push(descriptor);
+    }
+
+    // Outermost ancestor first
+    const levels = Array.from(levelMap.keys()).sort((a, b) => b - a);
+
+    let xpath = "";
+    let prevLevel = null;
+    for (const level of levels) {
+      const step = this.#buildStep(levelMap.get(level));
+
+      if (prevLevel === null) {
+        xpath = "//" + step;
+      } else if (level === prevLevel - 1) {
+        xpath += "/" + step;
+      } else {
+        xpath += "//" + step;
+      }
+
+      prevLevel = level;
+    }
+
+    return xpath;
+  }
+
+  /**
+   * Builds a location step from descriptors at the same level.
+   * @private
+   * @param {Array<SelectorDescriptor>} descriptors - Descriptors at the same level
+   * @returns {string} Location step, e.g. div[@id="main"]
+   */
+  #buildStep(descriptors) {
+    const compound = [];
+    for (const descriptor of descriptors) {
+      compound.push(...SelectorParser.parseCompound(descriptor.selector));
+    }
+    return this.#compoundToStep(compound);
+  }
+
+  /**
+   * Translates a compound selector to a location step (node test and predicates).
+   * @private
+   * @param {Array<Object>} compound - Parsed compound selector
+   * @returns {string} Location step
+   */
+  #compoundToStep(compound) {
+    const { nodeTest, predicates } = this.#translateCompound(compound);
+    return nodeTest + predicates.map((p) => "[" + p + "]").join("");
+  }
+
+  /**
+   * Translates a compound selector to a node test and a list of predicates.
+   * local-name(.) is used instead of local-name(), which some XPath engines mishandle.
+   * @private
+   * @param {Array<Object>} compound - Parsed compound selector
+   * @returns {{nodeTest: string, predicates: Array<string>}} Node test and predicates
+   */
+  #translateCompound(compound) {
+    let nodeTest = "*";
+    const predicates = [];
+
+    for (const simple of compound) {
+      if (simple.type === "tag") {
+        if (
+          this.xmlDocument ||
+          this.foreignTags.has(simple.name) ||
+          !XPATH_NAME_REGEX.test(simple.name)
+        ) {
+          predicates.unshift("local-name(.)=" + this.#literal(simple.name));
+        } else {
+          nodeTest = simple.name;
+        }
+      } else if (simple.type !== "universal") {
+        predicates.push(this.#simpleToPredicate(simple));
+      }
+    }
+
+    return { nodeTest, predicates };
+  }
+
+  /**
+   * Translates a simple selector (other than tag and universal) to a predicate.
+   * @private
+   * @param {Object} simple - Parsed simple selector
+   * @returns {string} XPath predicate expression
+   * @throws {Error} If the simple selector is not supported
+   */
+  #simpleToPredicate(simple) {
+    switch (simple.type) {
+      case "id":
+        return "@id=" + this.#literal(simple.name);
+      case "class":
+        return (
+          'contains(concat(" ",normalize-space(@class)," "),' +
+          this.#literal(" " + simple.name + " ") +
+          ")"
+        );
+      case "attr":
+        return this.#attributeToPredicate(simple);
+      case "pseudo":
+        return this.#pseudoToPredicate(simple);
+      default:
+        throw new Error(`Unsupported selector type "${simple.type}" for XPath`);
+    }
+  }
+
+  /**
+   * Translates an attribute selector to a predicate.
+   * @private
+   * @param {{name: string, operator: string|null, value: string|null}} simple - Parsed attribute selector
+   * @returns {string} XPath predicate expression
+   * @throws {Error} If the operator is not supported
+   */
+  #attributeToPredicate(simple) {
+    const attribute = XPATH_NAME_REGEX.test(simple.name)
+      ? "@" + simple.name
+      : "@*[name(.)=" + this.#literal(simple.name) + "]";
+
+    if (simple.operator === null) {
+      return attribute;
+    }
+
+    const value = this.#literal(simple.value);
+    switch (simple.operator) {
+      case "=":
+        return attribute + "=" + value;
+      case "^=":
+        return "starts-with(" + attribute + "," + value + ")";
+      case "*=":
+        return "contains(" + attribute + "," + value + ")";
+      case "$=":
+        // XPath 1.0 has no ends-with()
+        return (
+          "substring(" + attribute + ",string-length(" + attribute + ")-" +
+          // string-length() counts characters, not UTF-16 code units
+          [...simple.value].length + "+1)=" + value
+        );
+      default:
+        throw new Error(`Unsupported attribute operator "${simple.operator}" for XPath`);
+    }
+  }
+
+  /**
+   * Translates a pseudo-class to a predicate.
+   * @private
+   * @param {{name: string, argument: string|null}} simple - Parsed pseudo-class
+   * @returns {string} XPath predicate expression
+   * @throws {Error} If the pseudo-class is not supported
+   */
+  #pseudoToPredicate(simple) {
+    switch (simple.name) {
+      case "first-child":
+        return "not(preceding-sibling::*)";
+      case "last-child":
+        return "not(following-sibling::*)";
+      case "only-child":
+        return "not(preceding-sibling::*) and not(following-sibling::*)";
+      case "nth-child":
+        return "count(preceding-sibling::*)=" + (this.#integer(simple.argument) - 1);
+      case "nth-last-child":
+        return "count(following-sibling::*)=" + (this.#integer(simple.argument) - 1);
+      case "empty":
+        return "not(*) and not(text())";
+      case "not":
+        return "not(" + this.#complexToPredicate(simple.argument) + ")";
+      case "is":
+        return this.#complexToPredicate(simple.argument);
+      case "has":
+        return this.#relativeToPath(simple.argument);
+      default:
+        throw new Error(`Unsupported pseudo-class ":${simple.name}" for XPath`);
+    }
+  }
+
+  /**
+   * Translates a complex selector to a predicate on its subject (the last compound).
+   * @private
+   * @param {string} selector - Complex selector text, e.g. ".a ~ *"
+   * @returns {string} XPath predicate expression
+   */
+  #complexToPredicate(selector) {
+    const parts = SelectorParser.parse(selector);
+
+    // Walk from the first compound to the subject, each compound constraining the next one
+    let condition = null;
+    for (let i = 0; i < parts.length - 1; i++) {
+      let step = this.#compoundToStep(parts[i].compound);
+      if (condition !== null) {
+        step += "[" + condition + "]";
+      }
+      condition = REVERSE_AXES[parts[i + 1].combinator] + step;
+    }
+
+    const { nodeTest, predicates } = this.#translateCompound(
+      parts[parts.length - 1].compound
+    );
+    if (condition !== null) {
+      predicates.push(condition);
+    }
+
+    // A subject without a tag is just its predicates
+    if (nodeTest === "*" && predicates.length > 0) {
+      return predicates.join(" and ");
+    }
+    return "self::" + nodeTest + predicates.map((p) => "[" + p + "]").join("");
+  }
+
+  /**
+   * Translates a relative selector (:has() argument) to a path from the subject.
+   * @private
+   * @param {string} selector - Relative selector text, e.g. ">span" or "~ .a"
+   * @returns {string} XPath path expression
+   */
+  #relativeToPath(selector) {
+    return SelectorParser.parse(selector, true)
+      .map((part) => FORWARD_AXES[part.combinator] + this.#compoundToStep(part.compound))
+      .join("/");
+  }
+
+  /**
+   * Parses a positive integer pseudo-class argument.
+   * @private
+   * @param {string|null} argument - Raw argument
+   * @returns {number} Parsed integer
+   * @throws {Error} If the argument is not a positive integer (an+b is not supported)
+   */
+  #integer(argument) {
+    if (argument === null || !/^\d+$/.test(argument)) {
+      throw new Error(`Unsupported pseudo-class argument "${argument}" for XPath`);
+    }
+    return parseInt(argument, 10);
+  }
+
+  /**
+   * Quotes a string as an XPath 1.0 literal.
+   * XPath 1.0 has no escapes, so strings with both quote types are built with concat().
+   * @private
+   * @param {string} value - Raw value
+   * @returns {string} XPath literal expression
+   */
+  #literal(value) {
+    if (!value.includes('"')) {
+      return '"' + value + '"';
+    }
+    if (!value.includes("'")) {
+      return "'" + value + "'";
+    }
+    return (
+      "concat(" +
+      value
+        .split('"')
+        .map((part) => '"' + part + '"')
+        .join(",'\"',") +
+      ")"
+    );
+  }
+}
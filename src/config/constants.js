@@ -1,6 +1,7 @@
 /**
  * Blacklist patterns for filtering IDs, classes, and attributes.
- * Supports wildcards: * matches any sequence of characters.
+ * Angular's patterns are always applied; other framework-specific patterns live in the presets (config/presets.js).
+ * Supports wildcards: * matches any sequence of characters. Regular expressions can be used as patterns too.
  * Examples:
  *   "*-ng-*" matches "app-ng-content", "ng-scope", etc.
  *   "temp-*" matches "temp-123", "temp-xyz", etc.
@@ -23,6 +24,73 @@ export const BLACKLIST_ATTRIBUTES = [
   "style",
   "*-ng-*", // Angular generated classes
   "ng-*", // Angular directives
+  "_ngcontent-*", // Angular view encapsulation
+  "_nghost-*",
   "*tw-*",
   "xmlns*",
 ];
+
+/**
+ * Attribute values longer than this are not used in value selectors.
+ */
+export const ATTRIBUTE_VALUE_MAX_LENGTH = 100;
+
+/**
+ * Attributes set for tests, most preferred first. Their exact-value selectors get COST_TEST_ATTRIBUTE.
+ */
+export const TEST_ATTRIBUTES = [
+  "data-testid",
+  "data-cy",
+  "data-qa",
+  "name",
+  "aria-label",
+];
+
+/**
+ * Combinator used to join per-shadow-root selectors into a single string.
+ * Example: "my-app >>> .panel >>> button"
+ */
+export const SHADOW_PIERCE_COMBINATOR = ">>>";
+
+/**
+ * Texts longer than this are not used in text locators.
+ */
+export const TEXT_MAX_LENGTH = 50;
+
+/**
+ * Number of alternative selectors returned by getSelectors() by default.
+ */
+export const DEFAULT_SELECTOR_COUNT = 3;
+
+/**
+ * Search budget of the optimal optimizer: visited subsets and milliseconds.
+ * When it runs out, the cheapest set found so far (at worst the greedy one) is used.
+ */
+export const OPTIMAL_MAX_NODES = 5000;
+export const OPTIMAL_TIME_LIMIT_MS = 200;
+
+/**
+ * Optimizer runs allowed per requested alternative when searching for distinct selectors.
+ */
+export const ALTERNATIVE_SEARCH_FACTOR = 4;
+
+/**
+ * Milliseconds of work between two yields to the event loop in asynchronous calls.
+ */
+export const ASYNC_SLICE_MS = 10;
+
+/**
+ * Relaxed selectors tried at most when repairing a selector.
+ */
+export const REPAIR_MAX_ATTEMPTS = 1000;
+
+/**
+ * Characters of text kept in element fingerprints.
+ */
+export const FINGERPRINT_TEXT_MAX_LENGTH = 100;
+
+/**
+ * Namespaces of the elements selectors can be generated for: HTML and SVG.
+ */
+export const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+export const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
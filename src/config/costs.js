@@ -15,6 +15,15 @@ export const COST_ID = 0;
 export const COST_CLASS = 1;
 export const COST_TAG = 2;
 export const COST_ATTR = 3;
+export const COST_ATTR_VALUE = 4; // [attr="value"]
+export const COST_ATTR_PREFIX = 5; // [attr^="value"]
+export const COST_ATTR_SUFFIX = 5; // [attr$="value"]
+export const COST_ATTR_SUBSTRING = 6; // [attr*="value"]
+export const COST_TEST_ATTRIBUTE = 0; // [data-testid="value"]; the element's ID is priced after its test attributes
+export const COST_TEST_ATTRIBUTE_STEP = 0.01; // added per position in the testAttributes.names priority list
+
+export const COST_TEXT = 1; // text="..." (locator output only)
+export const COST_ROLE = 1; // role=...[name="..."] (locator output only)
 
 export const COST_PARENT = 10;
 export const COST_SIBLING = 100;
@@ -23,3 +32,9 @@ export const COST_DISTANCE = 1;
 
 export const COST_IS_HAS = 5; // contains :is(), :has()
 export const COST_NOT = 10; // contains :not()
+
+export const COST_NON_UNIQUE = 500; // optimizer penalty per extra matched element
+export const COST_FRAGILITY = 100; // robustness penalty for candidates broken by every perturbation
+export const COST_VOLATILE = 50; // penalty for generated IDs, classes and attribute values
+export const COST_ANCHOR_REUSE = -10; // batch bonus for an ancestor descriptor already used by another target's selector, floored at 0
+export const COST_UTILITY_CLASS = 20; // preset penalty for CSS framework utility classes
@@ -0,0 +1,324 @@
+import {
+  BLACKLIST_IDS,
+  BLACKLIST_CLASSES,
+  BLACKLIST_ATTRIBUTES,
+  ATTRIBUTE_VALUE_MAX_LENGTH,
+  TEXT_MAX_LENGTH,
+  TEST_ATTRIBUTES,
+  OPTIMAL_MAX_NODES,
+  OPTIMAL_TIME_LIMIT_MS,
+} from "./constants.js";
+import {
+  COST_ID,
+  COST_CLASS,
+  COST_TAG,
+  COST_ATTR,
+  COST_ATTR_VALUE,
+  COST_ATTR_PREFIX,
+  COST_ATTR_SUFFIX,
+  COST_ATTR_SUBSTRING,
+  COST_TEST_ATTRIBUTE,
+  COST_TEST_ATTRIBUTE_STEP,
+  COST_TEXT,
+  COST_ROLE,
+  COST_PARENT,
+  COST_SIBLING,
+  COST_CHILDREN,
+  COST_DISTANCE,
+  COST_IS_HAS,
+  COST_NOT,
+  COST_NON_UNIQUE,
+  COST_FRAGILITY,
+  COST_VOLATILE,
+  COST_ANCHOR_REUSE,
+} from "./costs.js";
+import { getPreset } from "./presets.js";
+
+/**
+ * Names of the candidate generators that can be switched on and off.
+ */
+export const GENERATOR_NAMES = [
+  "local",
+  "exclusion",
+  "children",
+  "sibling",
+  "parent",
+  "childrenExclusion",
+  "text",
+  "role",
+];
+
+/**
+ * Generators that still run once the time budget has run out.
+ * Their candidates need no DOM queries; the parent generator stops at the ancestor it reached.
+ */
+export const ESSENTIAL_GENERATOR_NAMES = ["local", "sibling", "parent"];
+
+/**
+ * Generators whose candidates can only be expressed as locators (outputFormat "playwright").
+ */
+export const LOCATOR_GENERATOR_NAMES = ["text", "role"];
+
+/**
+ * Names of the available optimizers.
+ */
+export const OPTIMIZER_NAMES = ["top-down", "bottom-up", "optimal", "hybrid"];
+
+/**
+ * Simulated DOM changes used by the robustness evaluation.
+ */
+export const PERTURBATION_NAMES = [
+  "insertBefore",
+  "insertAfter",
+  "removeSibling",
+  "wrap",
+  "insertChild",
+  "removeClass",
+];
+
+/**
+ * What to do with generated (volatile) IDs, classes and attribute values.
+ * "penalize" adds costs.volatile to their candidates, "exclude" drops them, "off" disables the detection.
+ */
+export const VOLATILE_ACTIONS = ["penalize", "exclude", "off"];
+
+/**
+ * Output formats for elements inside shadow roots.
+ * "pierce" joins the per-root selectors with >>>, "chain" returns them as an array.
+ */
+export const SHADOW_OUTPUTS = ["pierce", "chain"];
+
+/**
+ * Output formats of getSelector.
+ */
+export const OUTPUT_FORMATS = ["css", "xpath", "playwright"];
+
+/**
+ * Default options used by SelectorGenerator.
+ * Built from the module-level blacklists and cost constants, so those remain the single source of defaults.
+ */
+export const DEFAULT_OPTIONS = {
+  blacklist: {
+    ids: BLACKLIST_IDS,
+    classes: BLACKLIST_CLASSES,
+    attributes: BLACKLIST_ATTRIBUTES,
+  },
+  costs: {
+    id: COST_ID,
+    class: COST_CLASS,
+    tag: COST_TAG,
+    attr: COST_ATTR,
+    attrValue: COST_ATTR_VALUE,
+    attrPrefix: COST_ATTR_PREFIX,
+    attrSuffix: COST_ATTR_SUFFIX,
+    attrSubstring: COST_ATTR_SUBSTRING,
+    testAttribute: COST_TEST_ATTRIBUTE,
+    testAttributeStep: COST_TEST_ATTRIBUTE_STEP,
+    text: COST_TEXT,
+    role: COST_ROLE,
+    parent: COST_PARENT,
+    sibling: COST_SIBLING,
+    children: COST_CHILDREN,
+    distance: COST_DISTANCE,
+    isHas: COST_IS_HAS,
+    not: COST_NOT,
+    nonUnique: COST_NON_UNIQUE,
+    fragility: COST_FRAGILITY,
+    volatile: COST_VOLATILE,
+    anchorReuse: COST_ANCHOR_REUSE,
+  },
+  attributeValues: {
+    exact: true,
+    partial: true,
+    maxLength: ATTRIBUTE_VALUE_MAX_LENGTH,
+  },
+  testAttributes: {
+    names: TEST_ATTRIBUTES,
+    strict: false,
+  },
+  generators: {
+    local: true,
+    exclusion: true,
+    children: true,
+    sibling: true,
+    parent: true,
+    childrenExclusion: true,
+    text: true,
+    role: true,
+  },
+  presets: [],
+  costAdjustments: [],
+  textMaxLength: TEXT_MAX_LENGTH,
+  traversal: {
+    maxDepth: null,
+    maxChildren: null,
+    maxAncestors: null,
+  },
+  timeBudgetMs: null,
+  maxCandidates: null,
+  volatile: "penalize",
+  robustness: {
+    enabled: false,
+    perturbations: PERTURBATION_NAMES,
+  },
+  optimizer: "top-down",
+  hybrid: {
+    stages: ["bottom-up", "top-down"],
+    prune: true,
+  },
+  optimal: {
+    maxNodes: OPTIMAL_MAX_NODES,
+    timeLimitMs: OPTIMAL_TIME_LIMIT_MS,
+  },
+  shadowOutput: "pierce",
+  framePath: false,
+  root: null,
+  outputFormat: "css",
+  matchCache: true,
+};
+
+/**
+ * Checks whether a value is a plain object (and not an array, element, etc.).
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Merges an override object into a base object.
+ * Plain objects are merged recursively, everything else (including arrays) replaces the base value.
+ * @param {Object} base - Base object
+ * @param {Object} override - Override object
+ * @returns {Object} New merged object
+ */
+function merge(base, override) {
+  const result = { ...base };
+  for (const key of Object.keys(override)) {
+    const value = override[key];
+    if (value === undefined) {
+      continue;
+    }
+    result[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? merge(base[key], value)
+        : value;
+  }
+  return result;
+}
+
+/**
+ * Resolves a list of option layers into a complete options object.
+ * Later layers win. Blacklist arrays are replaced, not concatenated,
+ * so a layer can drop the default patterns entirely.
+ * @param {...Object} layers - Partial option objects (undefined/null layers are skipped)
+ * @returns {Object} Complete options object
+ * @throws {Error} If an unknown optimizer, generator, perturbation or preset is requested, or options conflict
+ */
+export function resolveOptions(...layers) {
+  let options = DEFAULT_OPTIONS;
+  for (const layer of layers) {
+    if (layer === undefined || layer === null) {
+      continue;
+    }
+    if (!isPlainObject(layer)) {
+      throw new Error("Options must be a plain object");
+    }
+    options = merge(options, layer);
+  }
+
+  if (!OPTIMIZER_NAMES.includes(options.optimizer)) {
+    throw new Error(
+      `Unknown optimizer "${options.optimizer}". Expected one of: ${OPTIMIZER_NAMES.join(", ")}`
+    );
+  }
+
+  for (const [name, value] of [
+    ["timeBudgetMs", options.timeBudgetMs],
+    ["maxCandidates", options.maxCandidates],
+    ...Object.entries(options.traversal).map(([key, limit]) => ["traversal." + key, limit]),
+  ]) {
+    if (value !== null && (typeof value !== "number" || !(value >= 0))) {
+      throw new Error(`${name} must be a non-negative number or null, got ${value}`);
+    }
+  }
+
+  if (options.hybrid.stages.length === 0) {
+    throw new Error("hybrid.stages must list at least one optimizer");
+  }
+  for (const stage of options.hybrid.stages) {
+    if (stage === "hybrid" || !OPTIMIZER_NAMES.includes(stage)) {
+      throw new Error(
+        `Unknown hybrid stage "${stage}". Expected one of: ${OPTIMIZER_NAMES.filter((name) => name !== "hybrid").join(", ")}`
+      );
+    }
+  }
+
+  for (const key of ["maxNodes", "timeLimitMs"]) {
+    const value = options.optimal[key];
+    if (typeof value !== "number" || !(value > 0)) {
+      throw new Error(`optimal.${key} must be a positive number, got ${value}`);
+    }
+  }
+
+  if (!SHADOW_OUTPUTS.includes(options.shadowOutput)) {
+    throw new Error(
+      `Unknown shadowOutput "${options.shadowOutput}". Expected one of: ${SHADOW_OUTPUTS.join(", ")}`
+    );
+  }
+
+  // Throws for unknown names and invalid definitions
+  options.presets.forEach(getPreset);
+
+  if (!VOLATILE_ACTIONS.includes(options.volatile)) {
+    throw new Error(
+      `Unknown volatile action "${options.volatile}". Expected one of: ${VOLATILE_ACTIONS.join(", ")}`
+    );
+  }
+
+  if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+    throw new Error(
+      `Unknown outputFormat "${options.outputFormat}". Expected one of: ${OUTPUT_FORMATS.join(", ")}`
+    );
+  }
+
+  if (options.root !== null && options.outputFormat !== "css") {
+    throw new Error(
+      `The root option is not supported with ${options.outputFormat} output`
+    );
+  }
+
+  if (options.root !== null && options.framePath) {
+    throw new Error("The root and framePath options cannot be combined");
+  }
+
+  if (
+    !Array.isArray(options.testAttributes.names) ||
+    options.testAttributes.names.some((name) => typeof name !== "string")
+  ) {
+    throw new Error("testAttributes.names must be an array of attribute names");
+  }
+
+  for (const name of options.robustness.perturbations) {
+    if (!PERTURBATION_NAMES.includes(name)) {
+      throw new Error(
+        `Unknown perturbation "${name}". Expected one of: ${PERTURBATION_NAMES.join(", ")}`
+      );
+    }
+  }
+
+  for (const name of Object.keys(options.generators)) {
+    if (!GENERATOR_NAMES.includes(name)) {
+      throw new Error(
+        `Unknown generator "${name}". Expected one of: ${GENERATOR_NAMES.join(", ")}`
+      );
+    }
+  }
+
+  return options;
+}
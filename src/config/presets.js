@@ -0,0 +1,191 @@
+import { COST_UTILITY_CLASS } from "./costs.js";
+
+/**
+ * Bootstrap and Tailwind utility class prefixes.
+ * Utility classes describe styling rather than purpose, so they change more often than component classes.
+ */
+const SPACING_UTILITIES = [
+  "m-*", "mt-*", "mb-*", "ml-*", "mr-*", "ms-*", "me-*", "mx-*", "my-*",
+  "p-*", "pt-*", "pb-*", "pl-*", "pr-*", "ps-*", "pe-*", "px-*", "py-*",
+  "gap-*", "w-*", "h-*",
+];
+
+/**
+ * Creates cost adjustment rules that add the same cost to every matching class.
+ * @param {Array<string>} patterns - Wildcard class patterns
+ * @param {number} cost - Cost to add
+ * @returns {Array<{type: string, pattern: string, cost: number}>} Cost adjustment rules
+ */
+function classCosts(patterns, cost) {
+  return patterns.map((pattern) => ({ type: "class", pattern, cost }));
+}
+
+/**
+ * Built-in framework presets.
+ * A preset has blacklists of wildcard patterns or regular expressions (ids, classes, attributes) that are added to the configured ones,
+ * and cost adjustment rules ({type: "id"|"class"|"attr", pattern, cost}) that add cost to matching candidates.
+ */
+export const PRESETS = {
+  react: {
+    blacklist: {
+      ids: [":r*:", "«r*»"], // useId()
+      attributes: ["data-reactroot", "data-reactid", "data-react-*"],
+    },
+  },
+  vue: {
+    blacklist: {
+      classes: ["v-enter*", "v-leave*", "*-enter-*", "*-leave-*", "router-link-*active"],
+      attributes: ["data-v-*"], // scoped styles
+    },
+  },
+  // Also in the default blacklists; restores them when the blacklist option replaces the defaults
+  angular: {
+    blacklist: {
+      classes: [
+        "*-ng-*", // Angular generated classes
+        "ng-*", // Angular directives
+      ],
+      attributes: [
+        "*-ng-*", // Angular generated classes
+        "ng-*", // Angular directives
+        "_ngcontent-*",
+        "_nghost-*",
+      ],
+    },
+  },
+  svelte: {
+    blacklist: {
+      classes: ["svelte-*"],
+    },
+  },
+  tailwind: {
+    blacklist: {
+      classes: [
+        "*:*", // variants, e.g. hover:bg-blue-500
+        "*[*]*", // arbitrary values, e.g. w-[37px]
+      ],
+    },
+    costAdjustments: classCosts(
+      [
+        ...SPACING_UTILITIES,
+        "text-*", "bg-*", "border*", "rounded*", "shadow*", "font-*", "leading-*",
+        "tracking-*", "flex*", "grid*", "items-*", "justify-*", "opacity-*",
+      ],
+      COST_UTILITY_CLASS
+    ),
+  },
+  bootstrap: {
+    blacklist: {
+      classes: ["show", "showing", "collapsing", "was-validated"], // transient states
+    },
+    costAdjustments: classCosts(
+      [
+        ...SPACING_UTILITIES,
+        "d-*", "col-*", "row-cols-*", "text-*", "bg-*", "border*", "rounded*", "shadow*",
+        "fw-*", "fs-*", "justify-content-*", "align-items-*", "float-*", "order-*",
+      ],
+      COST_UTILITY_CLASS
+    ),
+  },
+  mui: {
+    blacklist: {
+      classes: [
+        "Mui*-*-*", // makeStyles with a counter, e.g. MuiButton-root-123
+        "makeStyles-*",
+        "jss*",
+        /^css-(?=[a-z]*[0-9])[a-z0-9]{5,}(-|$)/, // emotion: css- and a hash, e.g. css-1x2y3z
+        "Mui-focused",
+        "Mui-focusVisible",
+      ],
+    },
+  },
+};
+
+/**
+ * Presets available by name: the built-in ones and those added with registerPreset().
+ */
+const registry = new Map(Object.entries(PRESETS));
+
+/**
+ * Validates a preset definition.
+ * @param {*} preset - Preset to check
+ * @throws {Error} If the preset is not an object of blacklists and cost adjustments
+ */
+function assertValidPreset(preset) {
+  if (preset === null || typeof preset !== "object" || Array.isArray(preset)) {
+    throw new Error("A preset must be an object");
+  }
+  for (const key of Object.keys(preset.blacklist ?? {})) {
+    if (!["ids", "classes", "attributes"].includes(key)) {
+      throw new Error(`Unknown preset blacklist "${key}". Expected ids, classes or attributes`);
+    }
+  }
+  for (const rule of preset.costAdjustments ?? []) {
+    if (!["id", "class", "attr"].includes(rule.type) || typeof rule.cost !== "number") {
+      throw new Error("Cost adjustments must have a type (id, class or attr), a pattern and a cost");
+    }
+  }
+}
+
+/**
+ * Registers a preset under a name, so it can be used in the presets option.
+ * Lets teams publish presets for their own frameworks and design systems.
+ * @param {string} name - Preset name
+ * @param {{blacklist?: {ids?: Array<string|RegExp>, classes?: Array<string|RegExp>, attributes?: Array<string|RegExp>}, costAdjustments?: Array<{type: string, pattern: string, cost: number}>}} preset - Preset definition
+ * @throws {Error} If the preset is invalid
+ */
+export function registerPreset(name, preset) {
+  assertValidPreset(preset);
+  registry.set(name, preset);
+}
+
+/**
+ * Returns the definition of a preset.
+ * @param {string|Object} preset - Preset name, or a preset definition used as is
+ * @returns {Object} Preset definition
+ * @throws {Error} If the preset name is unknown or the definition is invalid
+ */
+export function getPreset(preset) {
+  if (typeof preset !== "string") {
+    assertValidPreset(preset);
+    return preset;
+  }
+  if (!registry.has(preset)) {
+    throw new Error(
+      `Unknown preset "${preset}". Expected one of: ${Array.from(registry.keys()).join(", ")}`
+    );
+  }
+  return registry.get(preset);
+}
+
+/**
+ * Expands the presets option into blacklists and cost adjustments.
+ * Preset rules are added to the configured ones, so several presets can be combined.
+ * @param {Object} options - Resolved options
+ * @returns {Object} Options with the preset rules added to blacklist and costAdjustments
+ */
+export function applyPresets(options) {
+  if (options.presets.length === 0) {
+    return options;
+  }
+
+  const blacklist = {
+    ids: [...options.blacklist.ids],
+    classes: [...options.blacklist.classes],
+    attributes: [...options.blacklist.attributes],
+  };
+  const costAdjustments = [...options.costAdjustments];
+
+  for (const preset of options.presets.map(getPreset)) {
+    for (const key of Object.keys(blacklist)) {
+      for (const pattern of preset.blacklist?.[key] ?? []) {
+        if (!blacklist[key].includes(pattern)) {
+          blacklist[key].push(pattern);
+        }
+      }
+    }
+    costAdjustments.push(...(preset.costAdjustments ?? []));
+  }
+
+  return { ...options, blacklist, costAdjustments };
+}
@@ -1,18 +1,7 @@
 import { ElementValidator } from "../validators/ElementValidator.js";
-import {
-  COST_ATTR,
-  COST_CHILDREN,
-  COST_CLASS,
-  COST_IS_HAS,
-  COST_ID,
-  COST_NOT,
-} from "../config/costs.js";
-import {
-  BLACKLIST_IDS,
-  BLACKLIST_CLASSES,
-  BLACKLIST_ATTRIBUTES,
-} from "../config/constants.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
 import { BlacklistMatcher } from "../utils/BlacklistMatcher.js";
+import { CSSEscaper } from "../utils/CSSEscaper.js";
 
 /**
  * Generates :not(:has()) pseudo-selectors to exclude elements based on other elements children
@@ -24,34 +13,42 @@ export class ChildrenExclusionGenerator {
    * @param {DOMService} domService - Service for DOM queries
    * @param {LocalSelectorGenerator} localGenerator - Generator for local selectors
    * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {Object} [options] - Resolved generator options (blacklists and costs)
    */
-  constructor(domService, localGenerator, selectorBuilder) {
+  constructor(domService, localGenerator, selectorBuilder, options = DEFAULT_OPTIONS) {
     this.domService = domService;
     this.localGenerator = localGenerator;
     this.selectorBuilder = selectorBuilder;
+    this.options = options;
   }
 
   /**
    * Generates children exclusion selectors for elements.
    * Returns only selectors that are common to all target elements.
+   * The children to exclude are those of the elements matching a target's local selectors,
+   * or of the excluded elements when they are given (include/exclude mode).
    * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<HTMLElement|SVGElement>|null} [excludes] - Elements the selector must not match
    * @returns {Array<SelectorDescriptor>} Array of selector descriptors
    */
-  generate(elements) {
+  generate(elements, excludes = null) {
     for (const element of elements) {
       ElementValidator.assertValid(element);
     }
 
     const selectors = [];
+    const { blacklist, costs, volatile } = this.options;
 
     // Generate children exclusion selectors for each element
     const elementSelectors = elements.map((element) => {
       const sels = [];
 
-      const elementSelector = this.localGenerator.generate([element]);
-      const childrenSelector =
-        this.selectorBuilder.build(elementSelector) + " *";
-      const allChildren = this.domService.querySelectorAll(childrenSelector);
+      const allChildren =
+        excludes === null
+          ? this.domService.querySelectorAll(
+              this.selectorBuilder.build(this.localGenerator.generate([element])) + " *"
+            )
+          : excludes.flatMap((exclude) => Array.from(exclude.querySelectorAll("*")));
 
       const extraClasses = [];
       const extraAttr = [];
@@ -66,23 +63,23 @@ export class ChildrenExclusionGenerator {
 
         // Collect extra id (skip if blacklisted)
         const id = currentChild.getAttribute("id");
-        if (id !== null && !BlacklistMatcher.matches(id, BLACKLIST_IDS)) {
+        if (id !== null && !BlacklistMatcher.isIgnored(id, blacklist.ids, volatile)) {
           sels.push({
-            cost: COST_NOT + COST_IS_HAS + COST_CHILDREN + COST_ID,
+            cost: costs.not + costs.isHas + costs.children + costs.id,
             level: 0,
             type: "pseudo",
-            selector: ":not(:has(#" + CSS.escape(id) + "))",
+            selector: ":not(:has(#" + CSSEscaper.escape(id) + "))",
           });
         }
 
         // Collect extra classes (skip if blacklisted)
         currentChild.classList.forEach((currentClass) => {
           if (
-            !element.querySelector("." + CSS.escape(currentClass)) &&
+            !element.querySelector("." + CSSEscaper.escape(currentClass)) &&
             !extraClasses.includes(currentClass) &&
-            !BlacklistMatcher.matches(currentClass, BLACKLIST_CLASSES)
+            !BlacklistMatcher.isIgnored(currentClass, blacklist.classes, volatile)
           ) {
-            extraClasses.push(CSS.escape(currentClass));
+            extraClasses.push(CSSEscaper.escape(currentClass));
           }
         });
 
@@ -91,18 +88,18 @@ export class ChildrenExclusionGenerator {
         for (let j = 0; j < attributes.length; j++) {
           const currentAttr = attributes.item(j);
           if (
-            !element.querySelector("[" + CSS.escape(currentAttr.name) + "]") &&
+            !element.querySelector("[" + CSSEscaper.escape(currentAttr.name) + "]") &&
             !extraAttr.includes(currentAttr.name) &&
-            !BlacklistMatcher.matches(currentAttr.name, BLACKLIST_ATTRIBUTES)
+            !BlacklistMatcher.isIgnored(currentAttr.name, blacklist.attributes, volatile)
           ) {
-            extraAttr.push(CSS.escape(currentAttr.name));
+            extraAttr.push(CSSEscaper.escape(currentAttr.name));
           }
         }
       }
 
       for (let i = 0; i < extraClasses.length; i++) {
         sels.push({
-          cost: COST_NOT + COST_IS_HAS + COST_CHILDREN + COST_CLASS,
+          cost: costs.not + costs.isHas + costs.children + costs.class,
           level: 0,
           type: "pseudo",
           selector: ":not(:has(." + extraClasses[i] + "))",
@@ -111,7 +108,7 @@ export class ChildrenExclusionGenerator {
 
       for (let i = 0; i < extraAttr.length; i++) {
         sels.push({
-          cost: COST_NOT + COST_IS_HAS + COST_CHILDREN + COST_ATTR,
+          cost: costs.not + costs.isHas + costs.children + costs.attr,
           level: 0,
           type: "pseudo",
           selector: ":not(:has([" + extraAttr[i] + "]))",
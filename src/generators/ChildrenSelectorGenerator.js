@@ -1,21 +1,23 @@
 import { ElementValidator } from "../validators/ElementValidator.js";
-import {
-  COST_DISTANCE,
-  COST_CHILDREN,
-  COST_IS_HAS,
-  COST_NOT,
-} from "../config/costs.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
+import { TimeBudget } from "../utils/TimeBudget.js";
 
 /**
  * Generates selectors based on an element's children.
+ * The traversal option caps how deep (maxDepth) and how wide (maxChildren per element) the subtree is walked,
+ * and the walk stops when the time budget runs out.
  */
 export class ChildrenSelectorGenerator {
   /**
    * Creates a ChildrenSelectorGenerator instance.
    * @param {LocalSelectorGenerator} localGenerator - Generator for local selectors
+   * @param {Object} [options] - Resolved generator options (costs and traversal)
+   * @param {TimeBudget} [budget] - Time budget of the current call
    */
-  constructor(localGenerator) {
+  constructor(localGenerator, options = DEFAULT_OPTIONS, budget = new TimeBudget()) {
     this.localGenerator = localGenerator;
+    this.options = options;
+    this.budget = budget;
   }
 
   /**
@@ -27,6 +29,7 @@ export class ChildrenSelectorGenerator {
    */
   #processChildren(element, depth, selectors) {
     const children = element.children;
+    const { costs, traversal } = this.options;
     const depthSelector = ">*".repeat(depth);
 
     if (children.length === 0) {
@@ -35,7 +38,7 @@ export class ChildrenSelectorGenerator {
       if (element.childNodes.length > 0 && depth === 0) {
         selectors.push({
           cost:
-            depth * COST_DISTANCE + COST_NOT + COST_IS_HAS + COST_CHILDREN,
+            depth * costs.distance + costs.not + costs.isHas + costs.children,
           level: 0,
           type: "pseudo",
           selector: `:not(:has(>*))`,
@@ -46,14 +49,14 @@ export class ChildrenSelectorGenerator {
       // The element contains nothing OR contains :before OR :after pseudo elements
       if (element.childNodes.length === 0) {
         selectors.push({
-          cost: depth * COST_DISTANCE + COST_IS_HAS + COST_CHILDREN,
+          cost: depth * costs.distance + costs.isHas + costs.children,
           level: 0,
           type: "pseudo",
           selector: depth > 0 ? `:has(${depthSelector}:empty)` : `:empty`,
         });
         if (depth > 0) {
           selectors.push({
-            cost: COST_DISTANCE + COST_IS_HAS + COST_CHILDREN,
+            cost: costs.distance + costs.isHas + costs.children,
             level: 0,
             type: "pseudo",
             selector: `:has(:empty)`,
@@ -65,7 +68,7 @@ export class ChildrenSelectorGenerator {
 
     // has n direct children
     selectors.push({
-      cost: depth * COST_DISTANCE + COST_IS_HAS + COST_CHILDREN,
+      cost: depth * costs.distance + costs.isHas + costs.children,
       level: 0,
       type: "pseudo",
       selector:
@@ -75,23 +78,30 @@ export class ChildrenSelectorGenerator {
     });
     if (depth > 0) {
       selectors.push({
-        cost: COST_DISTANCE + COST_IS_HAS + COST_CHILDREN,
+        cost: costs.distance + costs.isHas + costs.children,
         level: 0,
         type: "pseudo",
         selector: `:has(* :nth-child(${children.length}):last-child)`,
       });
     }
 
-    for (let i = 0; i < children.length; i++) {
+    const childCount =
+      traversal.maxChildren === null
+        ? children.length
+        : Math.min(children.length, traversal.maxChildren);
+    for (let i = 0; i < childCount; i++) {
+      if (this.budget.isExhausted()) {
+        return selectors;
+      }
       const child = children[i];
 
       const localSelectors = this.localGenerator.generate([child]);
       for (const childrenLocalSelector of localSelectors) {
         selectors.push({
           cost:
-            depth * COST_DISTANCE +
-            COST_IS_HAS +
-            COST_CHILDREN +
+            depth * costs.distance +
+            costs.isHas +
+            costs.children +
             childrenLocalSelector.cost,
           level: 0,
           type: "pseudo",
@@ -104,9 +114,9 @@ export class ChildrenSelectorGenerator {
         if (depth > 0) {
           selectors.push({
             cost:
-              COST_DISTANCE +
-              COST_IS_HAS +
-              COST_CHILDREN +
+              costs.distance +
+              costs.isHas +
+              costs.children +
               childrenLocalSelector.cost,
             level: 0,
             type: "pseudo",
@@ -116,7 +126,9 @@ export class ChildrenSelectorGenerator {
       }
 
       // Recursively process descendants (go deeper, more negative level)
-      this.#processChildren(child, depth + 1, selectors);
+      if (traversal.maxDepth === null || depth + 1 < traversal.maxDepth) {
+        this.#processChildren(child, depth + 1, selectors);
+      }
     }
   }
 
@@ -1,11 +1,7 @@
 import { ElementValidator } from "../validators/ElementValidator.js";
 import { AttributeCollector } from "../utils/AttributeCollector.js";
-import {
-  COST_NOT,
-  COST_ATTR,
-  COST_CLASS,
-  COST_ID,
-} from "../config/costs.js";
+import { LocalSelectorGenerator } from "./LocalSelectorGenerator.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
 
 /**
  * Generates :not() pseudo-selectors to exclude similar elements.
@@ -16,41 +12,45 @@ export class LocalExclusionGenerator {
    * @param {DOMService} domService - Service for DOM queries
    * @param {LocalSelectorGenerator} localGenerator - Generator for local selectors
    * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {Object} [options] - Resolved generator options (blacklists and costs)
    */
-  constructor(domService, localGenerator, selectorBuilder) {
+  constructor(domService, localGenerator, selectorBuilder, options = DEFAULT_OPTIONS) {
     this.domService = domService;
     this.localGenerator = localGenerator;
     this.selectorBuilder = selectorBuilder;
+    this.options = options;
   }
 
   /**
    * Generates exclusion selectors for elements.
    * Returns only selectors that are common to all target elements.
+   * The features to exclude are taken from the elements matching a target's local selectors,
+   * or from the excluded elements when they are given (include/exclude mode).
    * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<HTMLElement|SVGElement>|null} [excludes] - Elements the selector must not match
    * @returns {Array<SelectorDescriptor>} Array of selector descriptors
    */
-  generate(elements) {
+  generate(elements, excludes = null) {
     for (const element of elements) {
       ElementValidator.assertValid(element);
     }
 
     const selectors = [];
+    const { costs } = this.options;
 
     // Generate exclusion selectors for each element
     const elementExclusions = elements.map(element => {
-      const localSelectors = this.localGenerator.generate([element]);
-      const baseSelector = this.selectorBuilder.build(localSelectors);
-      const matchedElements = this.domService.querySelectorAll(baseSelector);
+      const matchedElements = excludes ?? this.#getSimilarElements(element);
 
       const exclSelectors = [];
-      const collector = new AttributeCollector(element);
+      const collector = new AttributeCollector(element, this.options);
 
-      const { extraIds, extraClasses, extraAttributes } =
+      const { extraIds, extraClasses, extraAttributes, extraAttributeValues } =
         collector.collectAll(matchedElements);
 
       for (let i = 0; i < extraIds.length; i++) {
         exclSelectors.push({
-          cost: COST_NOT + COST_ID,
+          cost: costs.not + costs.id,
           level: 0,
           type: "pseudo",
           selector: ":not(#" + extraIds[i] + ")",
@@ -59,7 +59,7 @@ export class LocalExclusionGenerator {
 
       for (let i = 0; i < extraClasses.length; i++) {
         exclSelectors.push({
-          cost: COST_NOT + COST_CLASS,
+          cost: costs.not + costs.class,
           level: 0,
           type: "pseudo",
           selector: ":not(." + extraClasses[i] + ")",
@@ -68,13 +68,22 @@ export class LocalExclusionGenerator {
 
       for (let i = 0; i < extraAttributes.length; i++) {
         exclSelectors.push({
-          cost: COST_NOT + COST_ATTR,
+          cost: costs.not + costs.attr,
           level: 0,
           type: "pseudo",
           selector: ":not([" + extraAttributes[i] + "])",
         });
       }
 
+      for (let i = 0; i < extraAttributeValues.length; i++) {
+        exclSelectors.push({
+          cost: costs.not + costs.attrValue,
+          level: 0,
+          type: "pseudo",
+          selector: ":not([" + extraAttributeValues[i] + "])",
+        });
+      }
+
       return exclSelectors;
     });
 
@@ -98,4 +107,19 @@ export class LocalExclusionGenerator {
 
     return selectors;
   }
+
+  /**
+   * Returns the elements matching an element's local selectors.
+   * @private
+   * @param {HTMLElement|SVGElement} element - The target element
+   * @returns {NodeList} Similar elements, including the element itself
+   */
+  #getSimilarElements(element) {
+    // Value selectors are left out of the base, so elements that differ
+    // from the target only by attribute values are still collected
+    const localSelectors = this.localGenerator
+      .generate([element])
+      .filter((descriptor) => !LocalSelectorGenerator.isValueSelector(descriptor));
+    return this.domService.querySelectorAll(this.selectorBuilder.build(localSelectors));
+  }
 }
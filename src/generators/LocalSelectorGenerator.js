@@ -1,21 +1,208 @@
 import { ElementValidator } from "../validators/ElementValidator.js";
-import {
-  COST_ID,
-  COST_TAG,
-  COST_CLASS,
-  COST_ATTR,
-} from "../config/costs.js";
-import {
-  BLACKLIST_IDS,
-  BLACKLIST_CLASSES,
-  BLACKLIST_ATTRIBUTES,
-} from "../config/constants.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
 import { BlacklistMatcher } from "../utils/BlacklistMatcher.js";
+import { CSSEscaper } from "../utils/CSSEscaper.js";
+
+/**
+ * Separators used to split attribute values into segments for partial value selectors.
+ */
+const VALUE_SEPARATOR_REGEX = /([-_\s/.:?#=&]+)/;
+
+/**
+ * Matches attribute value selectors ([attr="v"], [attr^="v"], ...) but not presence selectors ([attr]).
+ */
+const VALUE_SELECTOR_REGEX = /^\[(?:\\.|[^\\\]])*?[\^$*]?="/;
 
 /**
  * Generates selectors based on an element's own properties (ID, tag, classes, attributes).
+ * Generated (volatile) tokens are penalized or dropped according to the volatile option, see BlacklistMatcher.getVolatileReason().
+ * Preferred test attributes (testAttributes option) only get an exact value selector, annotated with
+ * testAttribute and priced by their position in the list, the first name being the cheapest. The ID of an element
+ * with such a selector is priced after the last position, so test attributes win over IDs without negative costs.
+ * A test attribute whose value cannot be used (empty, too long, or excluded as volatile) gets the usual candidates.
  */
 export class LocalSelectorGenerator {
+  /**
+   * Creates a LocalSelectorGenerator instance.
+   * @param {Object} [options] - Resolved generator options (blacklists, costs and volatile)
+   */
+  constructor(options = DEFAULT_OPTIONS) {
+    this.options = options;
+  }
+
+  /**
+   * Lists the volatile tokens of an element and what is done with them.
+   * Blacklisted tokens are not listed, since they are never used.
+   * @param {HTMLElement|SVGElement} element - The element
+   * @returns {Array<{kind: string, name: string|null, token: string, reason: string, action: string}>} Decisions; kind is "id", "class", "attribute" (name) or "attributeValue"
+   */
+  classifyVolatile(element) {
+    const { blacklist, volatile } = this.options;
+    const decisions = [];
+
+    if (volatile === "off") {
+      return decisions;
+    }
+
+    const add = (kind, name, token) => {
+      const reason = BlacklistMatcher.getVolatileReason(token);
+      if (reason !== null) {
+        decisions.push({ kind, name, token, reason, action: volatile });
+      }
+    };
+
+    if (element.id !== "" && !BlacklistMatcher.matches(element.id, blacklist.ids)) {
+      add("id", null, element.id);
+    }
+
+    element.classList.forEach((currentClass) => {
+      if (!BlacklistMatcher.matches(currentClass, blacklist.classes)) {
+        add("class", null, currentClass);
+      }
+    });
+
+    for (let i = 0, attributes = element.attributes; i < attributes.length; i++) {
+      const { name, value } = attributes.item(i);
+      if (name !== "class" && !BlacklistMatcher.matches(name, blacklist.attributes)) {
+        add("attribute", name, name);
+        add("attributeValue", name, value);
+      }
+    }
+
+    return decisions;
+  }
+
+  /**
+   * Applies the cost adjustment rules (costAdjustments option, expanded from presets) to a descriptor.
+   * @private
+   * @param {SelectorDescriptor} descriptor - Selector descriptor of type id, class or attr
+   * @param {string} token - ID, class name or attribute name used by the descriptor
+   * @returns {SelectorDescriptor} The descriptor, with the costs of all matching rules added (never below 0)
+   */
+  #adjustCost(descriptor, token) {
+    let adjustment = 0;
+    for (const rule of this.options.costAdjustments) {
+      if (rule.type === descriptor.type && BlacklistMatcher.matches(token, [rule.pattern])) {
+        adjustment += rule.cost;
+      }
+    }
+    if (adjustment === 0) {
+      return descriptor;
+    }
+    return { ...descriptor, cost: Math.max(0, descriptor.cost + adjustment) };
+  }
+
+  /**
+   * Applies the volatile option to a descriptor built from a token.
+   * @private
+   * @param {SelectorDescriptor} descriptor - Selector descriptor
+   * @param {string} token - ID, class name, attribute name or (part of an) attribute value used by the descriptor
+   * @returns {SelectorDescriptor|null} The descriptor, penalized and annotated with the reason if the token is volatile, or null if it is excluded
+   */
+  #applyVolatile(descriptor, token) {
+    const { costs, volatile } = this.options;
+    if (volatile === "off" || descriptor.volatile !== undefined) {
+      return descriptor;
+    }
+
+    const reason = BlacklistMatcher.getVolatileReason(token);
+    if (reason === null) {
+      return descriptor;
+    }
+    if (volatile === "exclude") {
+      return null;
+    }
+    return { ...descriptor, cost: descriptor.cost + costs.volatile, volatile: reason };
+  }
+
+  /**
+   * Checks whether a descriptor is an attribute value selector.
+   * @param {SelectorDescriptor} descriptor - Selector descriptor
+   * @returns {boolean} True for [attr="v"], [attr^="v"], [attr$="v"] and [attr*="v"] descriptors
+   */
+  static isValueSelector(descriptor) {
+    return descriptor.type === "attr" && VALUE_SELECTOR_REGEX.test(descriptor.selector);
+  }
+
+  /**
+   * Generates value selectors ([attr="v"], ^=, $=, *=) for a single attribute.
+   * Partial selectors are only generated for values made of several segments,
+   * and always include the separator so they match on a segment boundary.
+   * @private
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {Array<SelectorDescriptor>} Array of selector descriptors
+   */
+  #generateValueSelectors(name, value) {
+    const { attributeValues, costs } = this.options;
+    const sels = [];
+
+    if (value === "" || value.length > attributeValues.maxLength) {
+      return sels;
+    }
+
+    const escapedName = CSSEscaper.escape(name);
+    const push = (operator, part, cost) => {
+      const descriptor = this.#applyVolatile(
+        {
+          cost: cost,
+          level: 0,
+          type: "attr",
+          selector: "[" + escapedName + operator + CSSEscaper.quote(part) + "]",
+        },
+        part
+      );
+      if (descriptor !== null) {
+        sels.push(descriptor);
+      }
+    };
+
+    if (attributeValues.exact) {
+      push("=", value, costs.attrValue);
+    }
+
+    if (!attributeValues.partial) {
+      return sels;
+    }
+
+    // Alternating segments and separators: [segment, separator, segment, ...]
+    // Leading and trailing separators produce empty first/last segments
+    const parts = value.split(VALUE_SEPARATOR_REGEX);
+    const last = parts.length - 1;
+    const firstSegment = parts[0] === "" ? 2 : 0;
+    const lastSegment = parts[last] === "" ? last - 2 : last;
+    if (firstSegment >= lastSegment) {
+      return sels;
+    }
+
+    push(
+      "^=",
+      parts.slice(0, firstSegment + 2).join(""),
+      costs.attrPrefix
+    );
+    push("$=", parts.slice(lastSegment - 1).join(""), costs.attrSuffix);
+
+    // Use the longest middle segment (with its separators) as a substring selector
+    let longest = -1;
+    for (let i = firstSegment + 2; i < lastSegment; i += 2) {
+      if (
+        parts[i].length >= 3 &&
+        (longest === -1 || parts[i].length > parts[longest].length)
+      ) {
+        longest = i;
+      }
+    }
+    if (longest !== -1) {
+      push(
+        "*=",
+        parts[longest - 1] + parts[longest] + parts[longest + 1],
+        costs.attrSubstring
+      );
+    }
+
+    return sels;
+  }
+
   /**
    * Generates local selectors for elements.
    * Returns only selectors that are common to all target elements.
@@ -28,27 +215,37 @@ export class LocalSelectorGenerator {
     }
 
     const selectors = [];
+    const { blacklist, costs, attributeValues, testAttributes } = this.options;
 
     // Get selectors for each element
     const elementSelectors = elements.map(element => {
       const sels = [];
+      const pushChecked = (descriptor, token) => {
+        const checked = this.#applyVolatile(this.#adjustCost(descriptor, token), token);
+        if (checked !== null) {
+          sels.push(checked);
+        }
+      };
 
       // Add ID selector if not blacklisted
       if (
         element.id !== "" &&
-        !BlacklistMatcher.matches(element.id, BLACKLIST_IDS)
+        !BlacklistMatcher.matches(element.id, blacklist.ids)
       ) {
-        sels.push({
-          cost: COST_ID,
-          level: 0,
-          type: "id",
-          selector: "#" + CSS.escape(element.id),
-        });
+        pushChecked(
+          {
+            cost: costs.id,
+            level: 0,
+            type: "id",
+            selector: "#" + CSSEscaper.escape(element.id),
+          },
+          element.id
+        );
       }
 
       // Always add tag selector
       sels.push({
-        cost: COST_TAG,
+        cost: costs.tag,
         level: 0,
         type: "tag",
         selector: element.localName,
@@ -59,31 +256,78 @@ export class LocalSelectorGenerator {
         i < attributes.length;
         i++
       ) {
-        const name = attributes.item(i).name;
+        const { name, value } = attributes.item(i);
 
         if (name === "class") {
           element.classList.forEach((currentClass) => {
             // Skip blacklisted classes
-            if (!BlacklistMatcher.matches(currentClass, BLACKLIST_CLASSES)) {
-              sels.push({
-                cost: COST_CLASS,
-                level: 0,
-                type: "class",
-                selector: "." + CSS.escape(currentClass),
-              });
+            if (!BlacklistMatcher.matches(currentClass, blacklist.classes)) {
+              pushChecked(
+                {
+                  cost: costs.class,
+                  level: 0,
+                  type: "class",
+                  selector: "." + CSSEscaper.escape(currentClass),
+                },
+                currentClass
+              );
             }
           });
           continue;
         }
 
         // Skip blacklisted attributes
-        if (!BlacklistMatcher.matches(name, BLACKLIST_ATTRIBUTES)) {
-          sels.push({
-            cost: COST_ATTR,
+        if (BlacklistMatcher.matches(name, blacklist.attributes)) {
+          continue;
+        }
+
+        // Preferred test attributes only get their exact value selector, priced by priority;
+        // without a usable value, they fall back to the usual attribute candidates
+        const priority = testAttributes.names.indexOf(name);
+        if (
+          priority !== -1 &&
+          value !== "" &&
+          value.length <= attributeValues.maxLength
+        ) {
+          const descriptor = this.#applyVolatile(
+            {
+              cost: costs.testAttribute + priority * costs.testAttributeStep,
+              level: 0,
+              type: "attr",
+              selector: "[" + CSSEscaper.escape(name) + "=" + CSSEscaper.quote(value) + "]",
+              testAttribute: name,
+            },
+            value
+          );
+          if (descriptor !== null) {
+            pushChecked(descriptor, name);
+            continue;
+          }
+        }
+
+        // Value selectors are checked against their value part first, then against the name
+        const attrSelectors = [
+          {
+            cost: costs.attr,
             level: 0,
             type: "attr",
-            selector: "[" + CSS.escape(name) + "]",
-          });
+            selector: "[" + CSSEscaper.escape(name) + "]",
+          },
+          ...this.#generateValueSelectors(name, value),
+        ];
+        for (const descriptor of attrSelectors) {
+          pushChecked(descriptor, name);
+        }
+      }
+
+      // The ID comes after all test attributes, so they win when both identify the element
+      if (sels.some((descriptor) => descriptor.testAttribute !== undefined)) {
+        const index = sels.findIndex((descriptor) => descriptor.type === "id");
+        if (index !== -1) {
+          sels[index] = {
+            ...sels[index],
+            cost: sels[index].cost + testAttributes.names.length * costs.testAttributeStep,
+          };
         }
       }
 
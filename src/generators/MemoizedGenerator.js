@@ -0,0 +1,34 @@
+/**
+ * Remembers the descriptors another generator returns for single elements.
+ * Used by batches (getSelectorsForAll), where the local, exclusion and sibling descriptors of an ancestor
+ * or sibling are needed by many targets. The wrapped generator's output must only depend on the element,
+ * and the DOM must not change while the cache is in use.
+ */
+export class MemoizedGenerator {
+  /**
+   * Creates a MemoizedGenerator instance.
+   * @param {Object} generator - Generator with a generate(elements) method
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.cache = new WeakMap();
+  }
+
+  /**
+   * Generates selectors for elements, from the cache for single elements seen before.
+   * The returned descriptors are shared and must not be modified.
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @returns {Array<SelectorDescriptor>} Array of selector descriptors
+   */
+  generate(elements) {
+    if (elements.length !== 1) {
+      return this.generator.generate(elements);
+    }
+
+    const [element] = elements;
+    if (!this.cache.has(element)) {
+      this.cache.set(element, this.generator.generate(elements));
+    }
+    return this.cache.get(element);
+  }
+}
@@ -1,8 +1,12 @@
 import { ElementValidator } from "../validators/ElementValidator.js";
-import { COST_DISTANCE, COST_PARENT } from "../config/costs.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
+import { TimeBudget } from "../utils/TimeBudget.js";
 
 /**
  * Generates selectors based on parent elements.
+ * When a root element is configured, the walk stops there and the root is represented by :scope.
+ * The walk stops after traversal.maxAncestors ancestors, or once the time budget runs out; the ancestors
+ * walked so far are kept, so the selector may then not be unique.
  */
 export class ParentSelectorGenerator {
   /**
@@ -10,11 +14,21 @@ export class ParentSelectorGenerator {
    * @param {LocalSelectorGenerator} localGenerator - Generator for local selectors
    * @param {LocalExclusionGenerator} exclusionGenerator - Generator for exclusion selectors
    * @param {SiblingSelectorGenerator} siblingGenerator - Generator for sibling selectors
+   * @param {Object} [options] - Resolved generator options (costs, root and traversal)
+   * @param {TimeBudget} [budget] - Time budget of the current call
    */
-  constructor(localGenerator, exclusionGenerator, siblingGenerator) {
+  constructor(
+    localGenerator,
+    exclusionGenerator,
+    siblingGenerator,
+    options = DEFAULT_OPTIONS,
+    budget = new TimeBudget()
+  ) {
     this.localGenerator = localGenerator;
     this.exclusionGenerator = exclusionGenerator;
     this.siblingGenerator = siblingGenerator;
+    this.options = options;
+    this.budget = budget;
   }
 
   /**
@@ -29,6 +43,7 @@ export class ParentSelectorGenerator {
     }
 
     const selectors = [];
+    const { costs, root, traversal } = this.options;
 
     // Generate parent selectors for each element
     const elementSelectors = elements.map(element => {
@@ -37,22 +52,36 @@ export class ParentSelectorGenerator {
       let currentParent = element.parentElement;
       let level = 1;
 
-      while (currentParent) {
+      while (
+        currentParent &&
+        (traversal.maxAncestors === null || level <= traversal.maxAncestors) &&
+        !this.budget.isExhausted()
+      ) {
+        // Stop at the root; an element root can still anchor the selector through :scope
+        if (currentParent === root) {
+          sels.push({
+            cost: level * costs.distance + costs.parent,
+            level: level,
+            type: "pseudo",
+            selector: ":scope",
+          });
+          break;
+        }
+
+        // Local descriptors keep their annotations (e.g. testAttribute)
         const localSelectors = this.localGenerator.generate([currentParent]);
         for (const currentSelector of localSelectors) {
           sels.push({
-            cost: level * COST_DISTANCE + COST_PARENT + currentSelector.cost,
+            ...currentSelector,
+            cost: level * costs.distance + costs.parent + currentSelector.cost,
             level: level,
-            type: currentSelector.type,
-            selector: currentSelector.selector,
           });
         }
 
-        const localExclSelectors =
-          this.exclusionGenerator.generate([currentParent]);
+        const localExclSelectors = this.exclusionGenerator.generate([currentParent]);
         for (const currentSelector of localExclSelectors) {
           sels.push({
-            cost: level * COST_DISTANCE + COST_PARENT + currentSelector.cost,
+            cost: level * costs.distance + costs.parent + currentSelector.cost,
             level: level,
             type: currentSelector.type,
             selector: currentSelector.selector,
@@ -62,7 +91,7 @@ export class ParentSelectorGenerator {
         const siblingSelectors = this.siblingGenerator.generate([currentParent]);
         for (const currentSelector of siblingSelectors) {
           sels.push({
-            cost: level * COST_DISTANCE + COST_PARENT + currentSelector.cost,
+            cost: level * costs.distance + costs.parent + currentSelector.cost,
             level: level,
             type: currentSelector.type,
             selector: currentSelector.selector,
@@ -0,0 +1,79 @@
+import { ElementValidator } from "../validators/ElementValidator.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
+import { AriaInspector } from "../utils/AriaInspector.js";
+import { CSSEscaper } from "../utils/CSSEscaper.js";
+
+/**
+ * Generates ARIA role selectors (role[name="..."]) for locator output.
+ * These are not valid CSS; LocatorBuilder turns them into role=... locators.
+ */
+export class RoleSelectorGenerator {
+  /**
+   * Creates a RoleSelectorGenerator instance.
+   * @param {Object} [options] - Resolved generator options (costs and textMaxLength)
+   */
+  constructor(options = DEFAULT_OPTIONS) {
+    this.options = options;
+  }
+
+  /**
+   * Generates role selectors for elements.
+   * Only elements with both a role and an accessible name get a selector;
+   * the role alone rarely identifies an element and the tag already covers that case.
+   * Returns only selectors that are common to all target elements.
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @returns {Array<SelectorDescriptor>} Array of selector descriptors
+   */
+  generate(elements) {
+    for (const element of elements) {
+      ElementValidator.assertValid(element);
+    }
+
+    const selectors = [];
+    const { costs, textMaxLength } = this.options;
+
+    // Generate role selectors for each element
+    const elementSelectors = elements.map((element) => {
+      const sels = [];
+      const role = AriaInspector.getRole(element);
+
+      if (role === null || role === "presentation" || role === "none") {
+        return sels;
+      }
+
+      const name = AriaInspector.getAccessibleName(element, role);
+      if (name === "" || name.length > textMaxLength) {
+        return sels;
+      }
+
+      sels.push({
+        cost: costs.role,
+        level: 0,
+        type: "role",
+        selector: role + "[name=" + CSSEscaper.quote(name) + "]",
+      });
+
+      return sels;
+    });
+
+    // Find common selectors across all elements
+    if (elementSelectors.length === 0) return selectors;
+
+    const firstSet = elementSelectors[0];
+    for (const descriptor of firstSet) {
+      const isCommon = elementSelectors.every((set) =>
+        set.some(
+          (d) =>
+            d.level === descriptor.level &&
+            d.type === descriptor.type &&
+            d.selector === descriptor.selector
+        )
+      );
+      if (isCommon) {
+        selectors.push(descriptor);
+      }
+    }
+
+    return selectors;
+  }
+}
@@ -1,9 +1,5 @@
 import { ElementValidator } from "../validators/ElementValidator.js";
-import {
-  COST_DISTANCE,
-  COST_IS_HAS,
-  COST_SIBLING,
-} from "../config/costs.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
 
 /**
  * Generates selectors based on sibling relationships.
@@ -12,9 +8,11 @@ export class SiblingSelectorGenerator {
   /**
    * Creates a SiblingSelectorGenerator instance.
    * @param {LocalSelectorGenerator} localGenerator - Generator for local selectors
+   * @param {Object} [options] - Resolved generator options (costs)
    */
-  constructor(localGenerator) {
+  constructor(localGenerator, options = DEFAULT_OPTIONS) {
     this.localGenerator = localGenerator;
+    this.options = options;
   }
 
   /**
@@ -29,28 +27,30 @@ export class SiblingSelectorGenerator {
     }
 
     const selectors = [];
+    const { costs } = this.options;
 
     // Generate sibling selectors for each element
     const elementSelectors = elements.map(element => {
       const sels = [];
 
+      // parentNode rather than parentElement, so top-level elements of a shadow root have siblings too
       let prevSibling = element.previousElementSibling;
       const prevSiblingCount =
         prevSibling !== null
-          ? Array.from(element.parentElement.children).indexOf(element)
+          ? Array.from(element.parentNode.children).indexOf(element)
           : 0;
 
       let nextSibling = element.nextElementSibling;
       const nextSiblingCount =
         nextSibling !== null
-          ? Array.from(element.parentElement.children).length -
-            Array.from(element.parentElement.children).indexOf(element)
+          ? Array.from(element.parentNode.children).length -
+            Array.from(element.parentNode.children).indexOf(element)
           : 0;
 
       if (prevSibling === null) {
         // there is no previous sibling
         sels.push({
-          cost: (nextSiblingCount + 1) * COST_DISTANCE + COST_SIBLING,
+          cost: (nextSiblingCount + 1) * costs.distance + costs.sibling,
           level: 0,
           type: "pseudo",
           selector: ":first-child",
@@ -58,7 +58,7 @@ export class SiblingSelectorGenerator {
       } else {
         // there are previous siblings
         sels.push({
-          cost: (prevSiblingCount + 1) * COST_DISTANCE + COST_SIBLING,
+          cost: (prevSiblingCount + 1) * costs.distance + costs.sibling,
           level: 0,
           type: "pseudo",
           selector: ":nth-child(" + (prevSiblingCount + 1) + ")",
@@ -68,7 +68,7 @@ export class SiblingSelectorGenerator {
       if (nextSibling === null) {
         // there is no next sibling
         sels.push({
-          cost: (prevSiblingCount + 1) * COST_DISTANCE + COST_SIBLING,
+          cost: (prevSiblingCount + 1) * costs.distance + costs.sibling,
           level: 0,
           type: "pseudo",
           selector: ":last-child",
@@ -79,7 +79,7 @@ export class SiblingSelectorGenerator {
         // if there are not, nth-child is better
         if (prevSiblingCount > 0) {
           sels.push({
-            cost: (nextSiblingCount + 1) * COST_DISTANCE + COST_SIBLING,
+            cost: (nextSiblingCount + 1) * costs.distance + costs.sibling,
             level: 0,
             type: "pseudo",
             selector: ":nth-last-child(" + nextSiblingCount + ")",
@@ -89,7 +89,7 @@ export class SiblingSelectorGenerator {
 
       if (prevSibling === null && nextSibling === null) {
         sels.push({
-          cost: COST_SIBLING,
+          cost: costs.sibling,
           level: 0,
           type: "pseudo",
           selector: ":only-child",
@@ -97,11 +97,11 @@ export class SiblingSelectorGenerator {
       }
 
       while (prevSibling) {
-        if (prevSibling.nodeType === Node.COMMENT_NODE) {
+        if (prevSibling.nodeType === 8) { // Node.COMMENT_NODE
           prevSibling = prevSibling.previousElementSibling;
           continue;
         }
-        if (prevSibling.nodeType === Node.TEXT_NODE) {
+        if (prevSibling.nodeType === 3) { // Node.TEXT_NODE
           prevSibling = prevSibling.previousElementSibling;
           continue;
         }
@@ -114,7 +114,7 @@ export class SiblingSelectorGenerator {
             )
           ) {
             sels.push({
-              cost: COST_SIBLING + COST_IS_HAS + currentSelector.cost,
+              cost: costs.sibling + costs.isHas + currentSelector.cost,
               level: 0,
               type: "pseudo",
               selector: ":is(" + currentSelector.selector + " ~ *)",
@@ -125,11 +125,11 @@ export class SiblingSelectorGenerator {
       }
 
       while (nextSibling) {
-        if (nextSibling.nodeType === Node.COMMENT_NODE) {
+        if (nextSibling.nodeType === 8) { // Node.COMMENT_NODE
           nextSibling = nextSibling.nextElementSibling;
           continue;
         }
-        if (nextSibling.nodeType === Node.TEXT_NODE) {
+        if (nextSibling.nodeType === 3) { // Node.TEXT_NODE
           nextSibling = nextSibling.nextElementSibling;
           continue;
         }
@@ -142,7 +142,7 @@ export class SiblingSelectorGenerator {
             )
           ) {
             sels.push({
-              cost: COST_SIBLING + COST_IS_HAS + currentSelector.cost,
+              cost: costs.sibling + costs.isHas + currentSelector.cost,
               level: 0,
               type: "pseudo",
               selector: ":has(~ " + currentSelector.selector + ")",
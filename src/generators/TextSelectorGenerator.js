@@ -0,0 +1,81 @@
+import { ElementValidator } from "../validators/ElementValidator.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
+import { AriaInspector } from "../utils/AriaInspector.js";
+import { CSSEscaper } from "../utils/CSSEscaper.js";
+
+/**
+ * Generates text-content selectors (:text-is("...")) for locator output.
+ * These are not valid CSS; LocatorBuilder turns them into text="..." locators.
+ */
+export class TextSelectorGenerator {
+  /**
+   * Creates a TextSelectorGenerator instance.
+   * @param {Object} [options] - Resolved generator options (costs and textMaxLength)
+   */
+  constructor(options = DEFAULT_OPTIONS) {
+    this.options = options;
+  }
+
+  /**
+   * Generates text selectors for elements.
+   * Returns only selectors that are common to all target elements.
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @returns {Array<SelectorDescriptor>} Array of selector descriptors
+   */
+  generate(elements) {
+    for (const element of elements) {
+      ElementValidator.assertValid(element);
+    }
+
+    const selectors = [];
+    const { costs, textMaxLength } = this.options;
+
+    // Generate text selectors for each element
+    const elementSelectors = elements.map((element) => {
+      const sels = [];
+      const text = AriaInspector.getText(element);
+
+      if (text === "" || text.length > textMaxLength) {
+        return sels;
+      }
+
+      // Only elements with text of their own: text locators resolve to the smallest element
+      // with the text, so wrappers of a child with the same text could not be located
+      const hasOwnText = Array.from(element.childNodes).some(
+        (node) => node.nodeType === 3 && node.nodeValue.trim() !== "" // Node.TEXT_NODE
+      );
+      if (!hasOwnText) {
+        return sels;
+      }
+
+      sels.push({
+        cost: costs.text,
+        level: 0,
+        type: "text",
+        selector: ":text-is(" + CSSEscaper.quote(text) + ")",
+      });
+
+      return sels;
+    });
+
+    // Find common selectors across all elements
+    if (elementSelectors.length === 0) return selectors;
+
+    const firstSet = elementSelectors[0];
+    for (const descriptor of firstSet) {
+      const isCommon = elementSelectors.every((set) =>
+        set.some(
+          (d) =>
+            d.level === descriptor.level &&
+            d.type === descriptor.type &&
+            d.selector === descriptor.selector
+        )
+      );
+      if (isCommon) {
+        selectors.push(descriptor);
+      }
+    }
+
+    return selectors;
+  }
+}
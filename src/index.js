@@ -3,6 +3,9 @@
  * Provides an IIFE wrapper for backward compatibility with the original implementation.
  */
 import { SelectorGenerator as SelectorGeneratorClass } from './SelectorGenerator.js';
+import { SelectorResolver } from './resolvers/SelectorResolver.js';
+import { DEFAULT_OPTIONS } from './config/options.js';
+import { PRESETS, registerPreset } from './config/presets.js';
 
 // Create the wrapped API (same interface as the original)
 const SelectorGenerator = (function() {
@@ -11,7 +14,20 @@ const SelectorGenerator = (function() {
   const generator = new SelectorGeneratorClass();
 
   return {
-    getSelector: (elements) => generator.getSelector(elements)
+    getSelector: (elements, overrides) => generator.getSelector(elements, overrides),
+    getSelectorAsync: (elements, overrides) => generator.getSelectorAsync(elements, overrides),
+    getSelectorsForAll: (elements, overrides) => generator.getSelectorsForAll(elements, overrides),
+    generalize: (examples, overrides) => generator.generalize(examples, overrides),
+    repair: (oldSelector, fingerprint, overrides) => generator.repair(oldSelector, fingerprint, overrides),
+    getFingerprint: (element, overrides) => generator.getFingerprint(element, overrides),
+    locate: (fingerprint, root) => generator.locate(fingerprint, root),
+    getSelectors: (elements, overrides) => generator.getSelectors(elements, overrides),
+    explain: (elements, overrides) => generator.explain(elements, overrides),
+    create: (options) => new SelectorGeneratorClass(options),
+    resolve: (selector, root) => SelectorResolver.resolve(selector, root),
+    resolveAll: (selector, root) => SelectorResolver.resolveAll(selector, root),
+    resolveFramePath: (framePath, root) => SelectorResolver.resolveFramePath(framePath, root),
+    registerPreset: (name, preset) => registerPreset(name, preset)
   };
 })();
 
@@ -23,3 +39,6 @@ if (typeof window !== 'undefined') {
 // Export for module systems (ESM builds only)
 export { SelectorGenerator };
 export { SelectorGeneratorClass };
+export { SelectorResolver };
+export { DEFAULT_OPTIONS };
+export { PRESETS, registerPreset };
@@ -0,0 +1,148 @@
+import { ALTERNATIVE_SEARCH_FACTOR } from '../config/constants.js';
+import { TimeBudget } from '../utils/TimeBudget.js';
+
+/**
+ * Extracts the attribute name from attribute selectors, e.g. "data-id" from [data-id^="x"].
+ */
+const ATTRIBUTE_NAME_REGEX = /^\[\s*([^\s~|^$*=\]]+)/;
+
+/**
+ * Finds several distinct selector sets, ranked by cost.
+ * Wraps another optimizer: after each result, the optimizer is run again with one of the result's
+ * features banned from the candidate pool, so every alternative lacks at least one feature
+ * the earlier ones relied on (e.g. an ID-based, then an attribute-based, then a structural selector).
+ * A feature is a descriptor, except that all descriptors of one attribute ([name], [name="v"], [name^="v"], ...)
+ * count as one feature, so alternatives do not just use another form of the same attribute.
+ */
+export class AlternativeSelectorOptimizer {
+  /**
+   * Creates an AlternativeSelectorOptimizer instance.
+   * @param {Object} optimizer - Optimizer with a findBest(elements, selectors) method
+   * @param {MatchSetService} matchService - Service evaluating selector sets
+   * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {TimeBudget} [budget] - Time budget of the current call
+   */
+  constructor(optimizer, matchService, selectorBuilder, budget = new TimeBudget()) {
+    this.optimizer = optimizer;
+    this.matchService = matchService;
+    this.selectorBuilder = selectorBuilder;
+    this.budget = budget;
+  }
+
+  /**
+   * Evaluates a selector set.
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
+   * @returns {{selector: string, cost: number, matchCount: number}|null} Evaluation, or null if the set does not match all target elements
+   */
+  evaluate(elements, selectorSet) {
+    const selector = this.selectorBuilder.build(selectorSet);
+    if (selector === "") {
+      return null;
+    }
+
+    const results = new Set(this.matchService.match(selectorSet));
+    if (!elements.every((element) => results.has(element))) {
+      return null;
+    }
+
+    const cost = selectorSet.reduce((sum, descriptor) => sum + descriptor.cost, 0);
+    return { selector, cost, matchCount: results.size };
+  }
+
+  /**
+   * Finds up to count distinct selector sets that match exactly the target elements.
+   * A set is distinct if it builds a different selector and does not just add features to an earlier set.
+   * Once the time budget runs out, the search stops after the first result.
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @param {number} count - Maximum number of selector sets
+   * @returns {Array<{descriptors: Array<SelectorDescriptor>, selector: string, cost: number, matchCount: number}>} Selector sets, cheapest first
+   */
+  findAlternatives(targetElements, selectors, count) {
+    const results = [];
+    const queue = [[]];
+    const seenBans = new Set([""]);
+    const maxRuns = count * ALTERNATIVE_SEARCH_FACTOR;
+    let runs = 0;
+
+    while (
+      queue.length > 0 &&
+      results.length < count &&
+      runs < maxRuns &&
+      !(results.length > 0 && this.budget.isExhausted())
+    ) {
+      const banned = queue.shift();
+      const pool = selectors.filter(
+        (descriptor) => !banned.includes(this.#getFeature(descriptor))
+      );
+
+      // Skip pools that cannot produce a unique selector, the optimizer would only report them
+      const poolValue = this.evaluate(targetElements, pool);
+      if (poolValue === null || poolValue.matchCount !== targetElements.length) {
+        continue;
+      }
+
+      runs++;
+      const selectorSet = this.optimizer.findBest(targetElements, pool);
+      const value = this.evaluate(targetElements, selectorSet);
+      if (value === null || value.matchCount !== targetElements.length) {
+        continue;
+      }
+
+      if (this.#isDistinct(selectorSet, value.selector, results)) {
+        results.push({ descriptors: selectorSet, ...value });
+      }
+
+      // Branch on every feature the result relies on, cheapest (most decisive) first
+      const branches = selectorSet
+        .filter((descriptor) => !(descriptor.level === 0 && descriptor.type === 'tag'))
+        .sort((a, b) => a.cost - b.cost)
+        .map((descriptor) => this.#getFeature(descriptor));
+      for (const feature of branches) {
+        if (banned.includes(feature)) {
+          continue;
+        }
+        const nextBanned = [...banned, feature];
+        const key = [...nextBanned].sort().join('\n');
+        if (!seenBans.has(key)) {
+          seenBans.add(key);
+          queue.push(nextBanned);
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.cost - b.cost);
+  }
+
+  /**
+   * Checks whether a selector set differs in substance from the sets found so far.
+   * @private
+   * @param {Array<SelectorDescriptor>} selectorSet - Candidate selector set
+   * @param {string} selector - Built selector of the candidate set
+   * @param {Array<{descriptors: Array<SelectorDescriptor>, selector: string}>} results - Sets found so far
+   * @returns {boolean} True if the set builds a new selector and its features are not a superset of an earlier set's
+   */
+  #isDistinct(selectorSet, selector, results) {
+    const features = selectorSet.map((descriptor) => this.#getFeature(descriptor));
+    return results.every(
+      (result) =>
+        result.selector !== selector &&
+        !result.descriptors.every((descriptor) =>
+          features.includes(this.#getFeature(descriptor))
+        )
+    );
+  }
+
+  /**
+   * Returns the feature a descriptor relies on.
+   * @private
+   * @param {SelectorDescriptor} descriptor - Selector descriptor
+   * @returns {string} Feature key: the level and the attribute name for attribute selectors, the selector otherwise
+   */
+  #getFeature(descriptor) {
+    const match =
+      descriptor.type === 'attr' ? ATTRIBUTE_NAME_REGEX.exec(descriptor.selector) : null;
+    return descriptor.level + ':' + (match !== null ? '[' + match[1] : descriptor.selector);
+  }
+}
@@ -1,3 +1,6 @@
+import { TimeBudget } from '../utils/TimeBudget.js';
+import { StepRunner } from '../utils/StepRunner.js';
+
 /**
  * Optimizes selector sets using a bottom-up greedy approach.
  * Starts with empty set and adds selectors that provide the most improvement.
@@ -5,60 +8,58 @@
 export class BottomUpSelectorOptimizer {
   /**
    * Creates a BottomUpSelectorOptimizer instance.
-   * @param {DOMService} domService - Service for DOM queries
+   * @param {MatchSetService} matchService - Service evaluating selector sets
    * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {TimeBudget} [budget] - Time budget of the current call
    */
-  constructor(domService, selectorBuilder) {
-    this.domService = domService;
+  constructor(matchService, selectorBuilder, budget = new TimeBudget()) {
+    this.matchService = matchService;
     this.selectorBuilder = selectorBuilder;
+    this.budget = budget;
   }
 
   /**
    * Calculates the value (specificity score) of a selector set.
-   * Returns the count of elements matching the selector, or Infinity if invalid.
+   * Returns the count of elements matching the selector.
    * @param {Array<HTMLElement|SVGElement>} elements - The target elements
    * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
-   * @returns {number} Number of matching elements, or Infinity if invalid
+   * @returns {number} Number of matching elements, or Infinity if the set does not match all target elements
+   *   (e.g. for an element outside its document)
    */
   getValue(elements, selectorSet) {
-    const selector = this.selectorBuilder.build(selectorSet);
-    if (selector === "") {
-      return Infinity;
-    }
-    const results = this.domService.querySelectorAll(selector);
-    const count = results.length;
-
-    if (count === 0) {
-      console.error("Empty selector: ", selector, selectorSet);
-      return Infinity;
-    }
-
-    const resultsArray = Array.from(results);
+    const results = this.matchService.match(selectorSet);
+    const resultsSet = new Set(results);
 
     // Check if all target elements are in results
     for (const element of elements) {
-      if (!resultsArray.includes(element)) {
-        console.error(
-          "Element is missing from selector results: ",
-          selector,
-          selectorSet
-        );
+      if (!resultsSet.has(element)) {
         return Infinity;
       }
     }
 
-    return count;
+    return results.length;
   }
 
   /**
    * Finds the best selector set that identifies all target elements.
    * Uses a greedy optimization algorithm with decreasing thresholds.
+   * When the time budget runs out, the set built so far is returned, which may not be unique yet.
    * @param {Array<HTMLElement|SVGElement>} elements - The target elements
    * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
    * @returns {Array<SelectorDescriptor>} Optimized selector set
    */
   findBest(elements, selectors) {
-    selectors.sort((a, b) => a.cost - b.cost);
+    return StepRunner.run(this.findBestSteps(elements, selectors));
+  }
+
+  /**
+   * Same as findBest(), as steps that can be suspended before every trial set (see StepRunner).
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @returns {Generator<undefined, Array<SelectorDescriptor>>} Steps returning the optimized selector set
+   */
+  *findBestSteps(elements, selectors) {
+    const sortedSelectors = [...selectors].sort((a, b) => a.cost - b.cost);
 
     let bestSelectorSet = [];
     let bestValue = Infinity;
@@ -74,7 +75,12 @@ export class BottomUpSelectorOptimizer {
         let trialSelectorSet = [...bestSelectorSet];
         let trialValue = Infinity;
 
-        for (const currentSelector of selectors) {
+        for (const currentSelector of sortedSelectors) {
+          yield;
+          if (this.budget.isExhausted()) {
+            return bestSelectorSet;
+          }
+
           if (trialSelectorSet.includes(currentSelector)) {
             continue;
           }
@@ -1,15 +1,32 @@
+/**
+ * Trace of an optimizer run, as returned by explain().
+ * @typedef {Object} OptimizerTrace
+ * @property {{selector: string, matchCount: number}|null} initial - All candidates combined and their match count
+ * @property {Array<{round: number, descriptor: SelectorDescriptor, selector: string, matchCount: number, removed: boolean}>} attempts - Attempted removals in order, with the match count without the descriptor
+ * @property {{element: Element, descriptors: Array<SelectorDescriptor>, selector: string}|null} failure - Minimal subset not matching a target, if the candidates combined miss one
+ */
+
 /**
  * Debug optimizer for finding the smallest subset of selectors that does not match the target element.
  * Used when a selectorSet unexpectedly fails to match - helps identify the problematic selector(s).
+ * Also creates the traces optimizers record their decisions into.
  */
 export class DebugOptimizer {
+  /**
+   * Creates an empty optimizer trace.
+   * @returns {OptimizerTrace} Trace to pass to an optimizer's findBest()
+   */
+  static createTrace() {
+    return { initial: null, attempts: [], failure: null };
+  }
+
   /**
    * Creates a DebugOptimizer instance.
-   * @param {DOMService} domService - Service for DOM queries
+   * @param {MatchSetService} matchService - Service evaluating selector sets
    * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
    */
-  constructor(domService, selectorBuilder) {
-    this.domService = domService;
+  constructor(matchService, selectorBuilder) {
+    this.matchService = matchService;
     this.selectorBuilder = selectorBuilder;
   }
 
@@ -20,12 +37,23 @@ export class DebugOptimizer {
    * @returns {boolean} True if element is matched by the selector set
    */
   matches(element, selectorSet) {
-    const selector = this.selectorBuilder.build(selectorSet);
-    if (selector === "") {
-      return false;
+    return this.matchService.match(selectorSet).includes(element);
+  }
+
+  /**
+   * Explains why a selector set misses some of the target elements.
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of selector descriptors
+   * @returns {{element: Element, descriptors: Array<SelectorDescriptor>, selector: string}|null} The first missed element with the minimal subset that does not match it, or null if all elements match
+   */
+  explainFailure(elements, selectors) {
+    const element = elements.find((target) => !this.matches(target, selectors));
+    if (element === undefined) {
+      return null;
     }
-    const results = this.domService.querySelectorAll(selector);
-    return Array.from(results).includes(element);
+
+    const descriptors = this.findMinimalNonMatchingSet(element, selectors);
+    return { element, descriptors, selector: this.selectorBuilder.build(descriptors) };
   }
 
   /**
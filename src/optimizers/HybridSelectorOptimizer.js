@@ -0,0 +1,113 @@
+import { DEFAULT_OPTIONS } from '../config/options.js';
+import { StepRunner } from '../utils/StepRunner.js';
+
+/**
+ * Runs several optimizers as a pipeline (hybrid option).
+ * The stages run in order until one returns a set that matches exactly the target elements;
+ * a final pruning pass (the top-down optimizer started from that set and the target tag) then drops
+ * descriptors it does not need. If no stage succeeds, the last stage's result is returned as is.
+ * The typical order is bottom-up first, which is fast when an ID or test attribute identifies
+ * the element on its own, with top-down as the fallback.
+ */
+export class HybridSelectorOptimizer {
+  /**
+   * Creates a HybridSelectorOptimizer instance.
+   * @param {Object<string, Object>} optimizers - Stage optimizers by name, each with a findBestSteps(elements, selectors) method
+   * @param {MatchSetService} matchService - Service evaluating selector sets
+   * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {Object} [options] - Resolved generator options (hybrid stages and pruning)
+   */
+  constructor(optimizers, matchService, selectorBuilder, options = DEFAULT_OPTIONS) {
+    this.optimizers = optimizers;
+    this.matchService = matchService;
+    this.selectorBuilder = selectorBuilder;
+    this.options = options;
+  }
+
+  /**
+   * Finds the best selector set with the configured stages.
+   * When a metrics array is given, a record is pushed for every stage that ran, including the pruning pass:
+   * {stage, durationMs, selector, cost, matchCount, valid}.
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @param {Array<Object>|null} [metrics] - Array to record stage metrics into
+   * @returns {Array<SelectorDescriptor>} Optimized selector set
+   */
+  findBest(targetElements, selectors, metrics = null) {
+    return StepRunner.run(this.findBestSteps(targetElements, selectors, metrics));
+  }
+
+  /**
+   * Same as findBest(), as steps that can be suspended wherever the stages can (see StepRunner).
+   * Stage durations then include the time spent suspended.
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @param {Array<Object>|null} [metrics] - Array to record stage metrics into
+   * @returns {Generator<undefined, Array<SelectorDescriptor>>} Steps returning the optimized selector set
+   */
+  *findBestSteps(targetElements, selectors, metrics = null) {
+    const { stages, prune } = this.options.hybrid;
+
+    let result = [];
+    let valid = false;
+    for (const stage of stages) {
+      ({ result, valid } = yield* this.#runStage(
+        stage,
+        targetElements,
+        metrics,
+        this.optimizers[stage].findBestSteps(targetElements, selectors)
+      ));
+      if (valid) {
+        break;
+      }
+    }
+
+    if (!valid || !prune) {
+      return result;
+    }
+
+    // The pruning pass keeps the target tag, so it is added back if the stage dropped it
+    const targetTags = selectors.filter(
+      (descriptor) => descriptor.level === 0 && descriptor.type === 'tag' && !result.includes(descriptor)
+    );
+
+    return (yield* this.#runStage(
+      'prune',
+      targetElements,
+      metrics,
+      this.optimizers['top-down'].findBestSteps(targetElements, [...targetTags, ...result])
+    )).result;
+  }
+
+  /**
+   * Runs a stage, validates its result and records its metrics.
+   * @private
+   * @param {string} stage - Stage name
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<Object>|null} metrics - Array to record stage metrics into
+   * @param {Generator} steps - Steps of the stage, returning its selector set
+   * @returns {Generator<undefined, {result: Array<SelectorDescriptor>, valid: boolean}>} Steps returning the stage result, and whether it matches exactly the targets
+   */
+  *#runStage(stage, targetElements, metrics, steps) {
+    const start = performance.now();
+    const result = yield* steps;
+    const durationMs = performance.now() - start;
+
+    const selector = this.selectorBuilder.build(result);
+    const matchCount = this.matchService.match(result).length;
+    const valid = result.length > 0 && matchCount === targetElements.length;
+
+    if (metrics !== null) {
+      metrics.push({
+        stage,
+        durationMs,
+        selector,
+        cost: result.reduce((sum, descriptor) => sum + descriptor.cost, 0),
+        matchCount,
+        valid,
+      });
+    }
+
+    return { result, valid };
+  }
+}
@@ -0,0 +1,143 @@
+import { TopDownSelectorOptimizer } from './TopDownSelectorOptimizer.js';
+import { DEFAULT_OPTIONS } from '../config/options.js';
+import { TimeBudget } from '../utils/TimeBudget.js';
+import { StepRunner } from '../utils/StepRunner.js';
+
+/**
+ * Finds minimum-cost selector sets with a branch-and-bound search over descriptor subsets.
+ * The greedy top-down result is the starting upper bound, and is returned unchanged when the
+ * search finds nothing cheaper or runs out of its node or time budget (optimal option), or the call's time budget.
+ * Adding a descriptor can only narrow the matches of a set, which allows two prunings:
+ * a branch is dropped when all its remaining descriptors together still match too many elements,
+ * and when even its cheapest completion costs at least as much as the best set found so far.
+ * Match counts are memoized per built selector for the duration of a search.
+ */
+export class OptimalSelectorOptimizer {
+  /**
+   * Creates an OptimalSelectorOptimizer instance.
+   * @param {MatchSetService} matchService - Service evaluating selector sets
+   * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {Object} [options] - Resolved generator options (costs and optimal search budget)
+   * @param {TimeBudget} [budget] - Time budget of the current call
+   */
+  constructor(matchService, selectorBuilder, options = DEFAULT_OPTIONS, budget = new TimeBudget()) {
+    this.matchService = matchService;
+    this.selectorBuilder = selectorBuilder;
+    this.options = options;
+    this.budget = budget;
+    this.greedyOptimizer = new TopDownSelectorOptimizer(
+      matchService,
+      selectorBuilder,
+      options,
+      budget
+    );
+  }
+
+  /**
+   * Finds the cheapest selector set that matches the same elements as all selectors combined.
+   * Like the top-down optimizer, the target's tag (level 0) is always kept.
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @returns {Array<SelectorDescriptor>} Optimized selector set, in candidate order
+   */
+  findBest(targetElements, selectors) {
+    return StepRunner.run(this.findBestSteps(targetElements, selectors));
+  }
+
+  /**
+   * Same as findBest(), as steps that can be suspended at every visited subset (see StepRunner).
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @returns {Generator<undefined, Array<SelectorDescriptor>>} Steps returning the optimized selector set
+   */
+  *findBestSteps(targetElements, selectors) {
+    const greedySet = yield* this.greedyOptimizer.findBestSteps(targetElements, selectors);
+
+    const matchCounts = new Map();
+    const countMatches = (selectorSet) => {
+      const selector = this.selectorBuilder.build(selectorSet);
+      if (!matchCounts.has(selector)) {
+        matchCounts.set(selector, this.matchService.match(selectorSet).length);
+      }
+      return matchCounts.get(selector);
+    };
+
+    // The greedy optimizer keeps every set it returns matching as many elements as the full pool
+    const targetCount = countMatches(selectors);
+    if (targetCount < targetElements.length || countMatches(greedySet) !== targetCount) {
+      return greedySet;
+    }
+
+    const required = selectors.filter((s) => s.level === 0 && s.type === 'tag');
+    const optional = selectors
+      .filter((s) => !required.includes(s))
+      .sort((a, b) => a.cost - b.cost);
+
+    // Cheapest completions from index i on: the sum of negative costs, and the cheapest single descriptor
+    const negativeSuffix = new Array(optional.length + 1).fill(0);
+    const cheapestSuffix = new Array(optional.length + 1).fill(Infinity);
+    for (let i = optional.length - 1; i >= 0; i--) {
+      negativeSuffix[i] = negativeSuffix[i + 1] + Math.min(0, optional[i].cost);
+      cheapestSuffix[i] = Math.min(cheapestSuffix[i + 1], optional[i].cost);
+    }
+
+    const { maxNodes, timeLimitMs } = this.options.optimal;
+    const deadline = Date.now() + timeLimitMs;
+    let nodes = 0;
+
+    let bestSet = greedySet;
+    let bestCost = this.#getCost(greedySet);
+
+    const budget = this.budget;
+    const search = function* (index, currentSet, cost) {
+      yield;
+      nodes++;
+      if (nodes > maxNodes || Date.now() > deadline || budget.isExhausted()) {
+        return false;
+      }
+
+      const isMatch = countMatches(currentSet) === targetCount;
+      if (isMatch && cost < bestCost) {
+        bestSet = currentSet;
+        bestCost = cost;
+      }
+
+      // A set that does not match yet needs at least one more descriptor
+      let lowerBound = cost + negativeSuffix[index];
+      if (!isMatch) {
+        lowerBound += Math.max(0, cheapestSuffix[index]);
+      }
+      if (index === optional.length || lowerBound >= bestCost) {
+        return true;
+      }
+
+      const descriptor = optional[index];
+      if (!(yield* search(index + 1, [...currentSet, descriptor], cost + descriptor.cost))) {
+        return false;
+      }
+
+      // Skipping the descriptor only helps if the remaining ones can still narrow the matches down
+      if (
+        !isMatch &&
+        countMatches([...currentSet, ...optional.slice(index + 1)]) !== targetCount
+      ) {
+        return true;
+      }
+      return yield* search(index + 1, currentSet, cost);
+    };
+
+    yield* search(0, required, this.#getCost(required));
+
+    return selectors.filter((s) => bestSet.includes(s));
+  }
+
+  /**
+   * Sums the costs of a selector set.
+   * @private
+   * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
+   * @returns {number} Total cost
+   */
+  #getCost(selectorSet) {
+    return selectorSet.reduce((sum, descriptor) => sum + descriptor.cost, 0);
+  }
+}
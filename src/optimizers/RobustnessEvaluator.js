@@ -0,0 +1,230 @@
+import { DEFAULT_OPTIONS } from '../config/options.js';
+
+/**
+ * Tags of wrapper elements by namespace; HTML (and unknown namespaces) use div.
+ */
+const WRAPPER_TAGS = {
+  'http://www.w3.org/2000/svg': 'g',
+  'http://www.w3.org/1998/Math/MathML': 'mrow',
+};
+
+/**
+ * HTML elements that cannot have children.
+ */
+const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr',
+];
+
+/**
+ * Scores candidate descriptors by how well they survive common DOM changes.
+ * Every perturbation (inserting or removing siblings, wrapping the target, adding a child,
+ * removing a class) is applied to a fresh clone of the query root; reusing one clone is not an option, as some
+ * DOM implementations (jsdom) keep returning cached query results after a mutation. A candidate survives if,
+ * combined with the target's tag, it still matches every target and no element it did not match before.
+ * The share of failed perturbations is added to the candidate's cost, scaled by costs.fragility,
+ * so fragile positional candidates rank below stable ones in the optimizers.
+ */
+export class RobustnessEvaluator {
+  /**
+   * Creates a RobustnessEvaluator instance.
+   * @param {DOMService} domService - Service for DOM queries, bound to the query root
+   * @param {SelectorBuilder} selectorBuilder - Builder for constructing CSS selectors for the query root
+   * @param {Object} [options] - Resolved generator options (costs and robustness)
+   */
+  constructor(domService, selectorBuilder, options = DEFAULT_OPTIONS) {
+    this.domService = domService;
+    this.selectorBuilder = selectorBuilder;
+    this.options = options;
+  }
+
+  /**
+   * Scores descriptors and adds their fragility penalty to their cost.
+   * Locator-only descriptors (text, role) cannot be queried with CSS and are returned unchanged.
+   * @param {Array<HTMLElement|SVGElement>} elements - The target elements
+   * @param {Array<SelectorDescriptor>} descriptors - Candidate descriptors
+   * @returns {Array<SelectorDescriptor>} New descriptors, in the same order, with adjusted cost and a robustness score (0-1)
+   */
+  evaluate(elements, descriptors) {
+    const root = this.domService.getRoot();
+    const originalIndexes = this.#indexElements(root);
+    const targetIndexes = elements.map((element) => originalIndexes.get(element));
+
+    const tagDescriptors = descriptors.filter(
+      (descriptor) => descriptor.type === 'tag' && descriptor.level === 0
+    );
+    const selectors = descriptors.map((descriptor) =>
+      this.#isScorable(descriptor)
+        ? this.selectorBuilder.build(
+            descriptor.type === 'tag' && descriptor.level === 0
+              ? [descriptor]
+              : [...tagDescriptors, descriptor]
+          )
+        : null
+    );
+
+    // Elements each candidate matches before any change, by index in document order
+    const baselines = selectors.map((selector) =>
+      selector === null
+        ? null
+        : new Set(
+            Array.from(root.querySelectorAll(selector), (element) =>
+              originalIndexes.get(element)
+            )
+          )
+    );
+
+    const applied = new Array(descriptors.length).fill(0);
+    const survived = new Array(descriptors.length).fill(0);
+
+    for (const perturbation of this.options.robustness.perturbations) {
+      const clone = this.#cloneRoot(root);
+      const cloneIndexes = this.#indexElements(clone);
+      const cloneElements = Array.from(cloneIndexes.keys());
+      const cloneTargets = targetIndexes.map((index) => cloneElements[index]);
+
+      if (!this.#perturb(perturbation, cloneTargets)) {
+        continue;
+      }
+
+      selectors.forEach((selector, i) => {
+        if (selector === null) {
+          return;
+        }
+        applied[i]++;
+        const matches = Array.from(clone.querySelectorAll(selector));
+        const matchSet = new Set(matches);
+        const keepsTargets = cloneTargets.every((target) => matchSet.has(target));
+        // Elements added by the perturbation have no index and are ignored
+        const gainsNoElements = matches.every((match) => {
+          const index = cloneIndexes.get(match);
+          return index === undefined || baselines[i].has(index);
+        });
+        if (keepsTargets && gainsNoElements) {
+          survived[i]++;
+        }
+      });
+    }
+
+    return descriptors.map((descriptor, i) => {
+      if (selectors[i] === null) {
+        return descriptor;
+      }
+      const robustness = applied[i] === 0 ? 1 : survived[i] / applied[i];
+      return {
+        ...descriptor,
+        cost: descriptor.cost + Math.round((1 - robustness) * this.options.costs.fragility),
+        robustness,
+      };
+    });
+  }
+
+  /**
+   * Indexes the elements under a root in document order.
+   * @private
+   * @param {Document|DocumentFragment|Element} root - Query root
+   * @returns {Map<Element, number>} Index of every element, in document order
+   */
+  #indexElements(root) {
+    return new Map(Array.from(root.querySelectorAll('*'), (element, index) => [element, index]));
+  }
+
+  /**
+   * Checks whether a descriptor can be evaluated with CSS queries.
+   * @private
+   * @param {SelectorDescriptor} descriptor - Candidate descriptor
+   * @returns {boolean} True unless the descriptor is locator-only
+   */
+  #isScorable(descriptor) {
+    return descriptor.type !== 'text' && descriptor.type !== 'role';
+  }
+
+  /**
+   * Deep-clones a query root. Shadow roots cannot be cloned, so their children are cloned into a fragment.
+   * @private
+   * @param {Document|DocumentFragment|Element} root - Query root
+   * @returns {Document|DocumentFragment|Element} Detached clone
+   */
+  #cloneRoot(root) {
+    if (root.nodeType !== 11) { // Node.DOCUMENT_FRAGMENT_NODE
+      return root.cloneNode(true);
+    }
+    const fragment = root.ownerDocument.createDocumentFragment();
+    for (const child of root.childNodes) {
+      fragment.append(child.cloneNode(true));
+    }
+    return fragment;
+  }
+
+  /**
+   * Applies a perturbation around every target.
+   * @private
+   * @param {string} name - Perturbation name, see PERTURBATION_NAMES
+   * @param {Array<Element>} targets - Target elements in the clone
+   * @returns {boolean} True if the perturbation changed the clone
+   */
+  #perturb(name, targets) {
+    let changed = false;
+    const stripped = new Set();
+
+    for (const target of targets) {
+      const document = target.ownerDocument;
+      const createElement = (tag) => document.createElementNS(target.namespaceURI, tag);
+      // A document holds a single element, so its root element gets no siblings or wrapper
+      const canInsert = target.parentNode.nodeType !== 9; // Node.DOCUMENT_NODE
+
+      switch (name) {
+        case 'insertBefore':
+          if (canInsert) {
+            target.before(createElement(target.localName));
+            changed = true;
+          }
+          break;
+        case 'insertAfter':
+          if (canInsert) {
+            target.after(createElement(target.localName));
+            changed = true;
+          }
+          break;
+        case 'removeSibling': {
+          const sibling = target.previousElementSibling ?? target.nextElementSibling;
+          if (sibling !== null && !targets.includes(sibling)) {
+            sibling.remove();
+            changed = true;
+          }
+          break;
+        }
+        case 'wrap': {
+          if (canInsert) {
+            const wrapper = createElement(WRAPPER_TAGS[target.namespaceURI] ?? 'div');
+            target.before(wrapper);
+            wrapper.append(target);
+            changed = true;
+          }
+          break;
+        }
+        case 'insertChild':
+          if (!VOID_ELEMENTS.includes(target.localName)) {
+            target.append(createElement(WRAPPER_TAGS[target.namespaceURI] ?? 'span'));
+            changed = true;
+          }
+          break;
+        case 'removeClass':
+          // State classes (active, selected, ...) are usually the last ones added
+          for (let element = target; element !== null; element = element.parentElement) {
+            // Shared ancestors lose a single class
+            const classes = Array.from(element.classList);
+            if (stripped.has(element) || classes.length === 0) {
+              continue;
+            }
+            stripped.add(element);
+            element.classList.remove(classes[classes.length - 1]);
+            changed = true;
+          }
+          break;
+      }
+    }
+
+    return changed;
+  }
+}
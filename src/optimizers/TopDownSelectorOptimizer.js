@@ -1,4 +1,7 @@
 import { DebugOptimizer } from './DebugOptimizer.js';
+import { DEFAULT_OPTIONS } from '../config/options.js';
+import { TimeBudget } from '../utils/TimeBudget.js';
+import { StepRunner } from '../utils/StepRunner.js';
 
 /**
  * Optimizes selector sets using a top-down approach.
@@ -7,13 +10,17 @@ import { DebugOptimizer } from './DebugOptimizer.js';
 export class TopDownSelectorOptimizer {
   /**
    * Creates a TopDownSelectorOptimizer instance.
-   * @param {DOMService} domService - Service for DOM queries
+   * @param {MatchSetService} matchService - Service evaluating selector sets
    * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors
+   * @param {Object} [options] - Resolved generator options (costs)
+   * @param {TimeBudget} [budget] - Time budget of the current call
    */
-  constructor(domService, selectorBuilder) {
-    this.domService = domService;
+  constructor(matchService, selectorBuilder, options = DEFAULT_OPTIONS, budget = new TimeBudget()) {
+    this.matchService = matchService;
     this.selectorBuilder = selectorBuilder;
-    this.debugOptimizer = new DebugOptimizer(domService, selectorBuilder);
+    this.options = options;
+    this.budget = budget;
+    this.debugOptimizer = new DebugOptimizer(matchService, selectorBuilder);
   }
 
   /**
@@ -24,27 +31,18 @@ export class TopDownSelectorOptimizer {
    * @returns {{count: number, quality: number}} Object with count and quality, or null if invalid
    */
   getValue(elements, selectorSet) {
-    const selector = this.selectorBuilder.build(selectorSet);
-    if (selector === "") {
-      return null;
-    }
-    const results = this.domService.querySelectorAll(selector);
+    const results = this.matchService.match(selectorSet);
     const count = results.length;
 
     if (count === 0) {
       return null;
     }
 
-    const resultsArray = Array.from(results);
+    const resultsSet = new Set(results);
 
-    // Check if all target elements are in results
+    // Check if all target elements are in results; findBestSteps() reports a set missing one
     for (const element of elements) {
-      if (!resultsArray.includes(element)) {
-        console.error(
-          "Element is missing from selector results: ",
-          selector,
-          selectorSet
-        );
+      if (!resultsSet.has(element)) {
         return null;
       }
     }
@@ -54,7 +52,7 @@ export class TopDownSelectorOptimizer {
     let cost = selectorSet.reduce((sum, descriptor) => sum + descriptor.cost, 0);
 
      // Heavy penalty for non-unique matches
-    cost += (results.length - elements.length) * 500;
+    cost += (results.length - elements.length) * this.options.costs.nonUnique;
 
     // Return object with both count and quality
     return { count, cost };
@@ -64,37 +62,49 @@ export class TopDownSelectorOptimizer {
    * Finds the best selector set using top-down optimization with local best solution.
    * Starts with all selectors and iteratively removes selectors (sorted by cost),
    * stopping at the first removal that maintains uniqueness (count = elements.length).
+   * If the selectors combined do not match all targets (e.g. for an element outside its document),
+   * they are returned as they are. When a trace is given, the initial match count, every attempted removal
+   * and, if the initial set does not match all targets, the minimal non-matching subset are recorded in it.
+   * Every intermediate set matches as many elements as the initial one, so when the time budget runs out
+   * the current set is returned.
    * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
    * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @param {OptimizerTrace|null} [trace] - Trace to record into, see DebugOptimizer.createTrace()
    * @returns {Array<SelectorDescriptor>} Optimized selector set
    */
-  findBest(targetElements, selectors) {
+  findBest(targetElements, selectors, trace = null) {
+    return StepRunner.run(this.findBestSteps(targetElements, selectors, trace));
+  }
+
+  /**
+   * Same as findBest(), as steps that can be suspended before every attempted removal and, with the match-set
+   * cache, before every descriptor is first queried (see StepRunner).
+   * @param {Array<HTMLElement|SVGElement>} targetElements - The target elements
+   * @param {Array<SelectorDescriptor>} selectors - Array of all available selector descriptors
+   * @param {OptimizerTrace|null} [trace] - Trace to record into, see DebugOptimizer.createTrace()
+   * @returns {Generator<undefined, Array<SelectorDescriptor>>} Steps returning the optimized selector set
+   */
+  *findBestSteps(targetElements, selectors, trace = null) {
     const targetCount = targetElements.length;
 
-    // Start with all selectors
+    // Start with all selectors, querying them one step at a time
     let currentSet = [...selectors];
+    yield* this.matchService.prefetch(currentSet);
     let currentValue = this.getValue(targetElements, currentSet);
     const startingCount = currentValue ? currentValue.count : 0;
 
-    if (startingCount < targetCount) {
-      console.warn(
-        `Top-down optimizer: Initial selector set does not match all target elements. Expected ${targetCount}, got ${startingCount}.`
-      );
-      return currentSet;
+    if (trace !== null) {
+      trace.initial = {
+        selector: this.selectorBuilder.build(currentSet),
+        matchCount: startingCount,
+      };
     }
 
-    // If not unique even with all selectors, use debug optimizer to find minimal non-matching set
-    // Only if we are finding a selector for a single element
-    if (!currentValue || currentValue.count !== startingCount) {
-      console.warn(
-        `Top-down optimizer: All selectors combined do not produce a selector matching exactly ${targetCount} element(s). Finding minimal non-matching subset for debugging.`
-      );
-      const minimalNonMatching = this.debugOptimizer.findMinimalNonMatchingSet(targetElements[0], currentSet);
-      console.log(
-        "The problematic selector is this:",
-        minimalNonMatching,
-        this.selectorBuilder.build(minimalNonMatching)
-      );
+    // If not even all selectors combined match the targets, find the minimal subset that excludes one
+    if (startingCount < targetCount) {
+      if (trace !== null) {
+        trace.failure = this.debugOptimizer.explainFailure(targetElements, currentSet);
+      }
       return currentSet;
     }
 
@@ -104,8 +114,10 @@ export class TopDownSelectorOptimizer {
 
     // Iteratively try removing selectors in cost order
     let improved = true;
+    let round = 0;
     while (improved && currentSet.length > 1) {
       improved = false;
+      round++;
 
       // Try removing selectors in cost order, stop at first success
       for (const selectorToRemove of sortedSelectors) {
@@ -119,11 +131,27 @@ export class TopDownSelectorOptimizer {
           continue;
         }
 
+        yield;
+        if (this.budget.isExhausted()) {
+          return currentSet;
+        }
+
         const trialSet = currentSet.filter(s => s !== selectorToRemove);
         const trialValue = this.getValue(targetElements, trialSet);
+        const removed = trialValue !== null && trialValue.count === startingCount;
+
+        if (trace !== null) {
+          trace.attempts.push({
+            round,
+            descriptor: selectorToRemove,
+            selector: this.selectorBuilder.build(trialSet),
+            matchCount: trialValue ? trialValue.count : 0,
+            removed,
+          });
+        }
 
         // Check if elements still match exactly (count = startingCount)
-        if (trialValue && trialValue.count === startingCount) {
+        if (removed) {
           // Still matching after removal, commit this change and continue
           currentSet = trialSet;
           currentValue = trialValue;
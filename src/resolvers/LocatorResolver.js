@@ -0,0 +1,234 @@
+import { LOCATOR_SEPARATOR } from "../builders/LocatorBuilder.js";
+import { XPathDOMService } from "../services/XPathDOMService.js";
+import { AriaInspector } from "../utils/AriaInspector.js";
+import { SelectorParser } from "../utils/SelectorParser.js";
+
+/**
+ * Matches a trailing :text-is("...") pseudo-class in a css= part.
+ */
+const TEXT_IS_REGEX = /:text-is\(\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')\s*\)$/;
+
+/**
+ * Resolves Playwright-style locator strings to elements, so generated locators can be verified in-page.
+ * Supports the engines emitted by LocatorBuilder: css= (with a trailing :text-is()), text=, role= and xpath=,
+ * chained with " >> ", where each part is matched among the descendants of the previous part's matches.
+ * Text and role matching follow Playwright: quoted text matches the smallest element with exactly that
+ * (whitespace-normalized) text; unquoted text and role names match case-insensitive substrings.
+ */
+export class LocatorResolver {
+  /**
+   * Checks whether a string is a locator.
+   * @param {*} locator - Value to check
+   * @returns {boolean} True if the string starts with a supported engine name
+   */
+  static isLocator(locator) {
+    return typeof locator === "string" && /^\s*(css|text|role|xpath)=/.test(locator);
+  }
+
+  /**
+   * Splits a locator into its parts, ignoring separators inside strings and brackets.
+   * @param {string} locator - Locator string
+   * @returns {Array<string>} Locator parts
+   */
+  static split(locator) {
+    const parts = [];
+    let current = "";
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < locator.length; i++) {
+      const char = locator[i];
+
+      if (char === "\\") {
+        current += char + (locator[i + 1] ?? "");
+        i++;
+        continue;
+      }
+
+      if (quote !== null) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" || char === "(") {
+        depth++;
+      } else if (char === "]" || char === ")") {
+        depth--;
+      } else if (depth === 0 && locator.startsWith(LOCATOR_SEPARATOR, i)) {
+        parts.push(current.trim());
+        current = "";
+        i += LOCATOR_SEPARATOR.length - 1;
+        continue;
+      }
+
+      current += char;
+    }
+
+    parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * Resolves a locator to all matching elements.
+   * @param {string} locator - Locator string
+   * @param {Document|Element} [root] - Node to start from (defaults to the global document)
+   * @returns {Array<Element>} Matching elements in document order
+   * @throws {Error} If a part uses an unsupported engine
+   */
+  static resolveAll(locator, root = document) {
+    let scopes = [root];
+    let matches = [];
+
+    for (const part of this.split(locator)) {
+      matches = [];
+      for (const scope of scopes) {
+        for (const match of this.#resolvePart(part, scope)) {
+          if (!matches.includes(match)) {
+            matches.push(match);
+          }
+        }
+      }
+      scopes = matches;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Resolves a locator to the first matching element.
+   * @param {string} locator - Locator string
+   * @param {Document|Element} [root] - Node to start from (defaults to the global document)
+   * @returns {Element|null} First matching element or null
+   */
+  static resolve(locator, root = document) {
+    return this.resolveAll(locator, root)[0] ?? null;
+  }
+
+  /**
+   * Resolves a single locator part within a scope node.
+   * @private
+   * @param {string} part - Locator part, e.g. text="Save"
+   * @param {Document|Element} scope - Scope node
+   * @returns {Array<Element>} Matching descendants of the scope
+   */
+  static #resolvePart(part, scope) {
+    const separator = part.indexOf("=");
+    const engine = part.slice(0, separator).trim();
+    const body = part.slice(separator + 1).trim();
+
+    switch (engine) {
+      case "css":
+        return this.#resolveCss(body, scope);
+      case "text":
+        return this.#resolveText(body, scope);
+      case "role":
+        return this.#resolveRole(body, scope);
+      case "xpath":
+        return XPathDOMService.evaluate(body, scope).filter(
+          (node) => node.nodeType === 1 // Node.ELEMENT_NODE
+        );
+      default:
+        throw new Error(`Unsupported locator engine "${engine}"`);
+    }
+  }
+
+  /**
+   * Resolves a css= part, applying a trailing :text-is() filter.
+   * @private
+   * @param {string} body - CSS selector
+   * @param {Document|Element} scope - Scope node
+   * @returns {Array<Element>} Matching elements
+   */
+  static #resolveCss(body, scope) {
+    let css = body;
+    let text = null;
+
+    const match = TEXT_IS_REGEX.exec(css);
+    if (match !== null) {
+      text = SelectorParser.unquote(match[1]);
+      css = css.slice(0, match.index);
+      if (css === "" || /[\s>~+]$/.test(css)) {
+        css += "*";
+      }
+    }
+
+    // Element scopes only match their descendants, as in chained Playwright queries
+    const isElementScope = scope.nodeType === 1; // Node.ELEMENT_NODE
+    const elements = Array.from(
+      scope.querySelectorAll(isElementScope ? ":scope " + css : css)
+    );
+
+    return text === null
+      ? elements
+      : elements.filter((element) => this.#hasExactText(element, text));
+  }
+
+  /**
+   * Resolves a text= part.
+   * @private
+   * @param {string} body - Quoted (exact) or unquoted (substring) text
+   * @param {Document|Element} scope - Scope node
+   * @returns {Array<Element>} Matching elements
+   */
+  static #resolveText(body, scope) {
+    const candidates = Array.from(scope.querySelectorAll("*"));
+
+    if (body.startsWith('"') || body.startsWith("'")) {
+      const text = AriaInspector.normalize(
+        body.startsWith('"') ? JSON.parse(body) : SelectorParser.unquote(body)
+      );
+      return candidates.filter((element) => this.#hasExactText(element, text));
+    }
+
+    const text = AriaInspector.normalize(body).toLowerCase();
+    return candidates.filter(
+      (element) =>
+        AriaInspector.getText(element).toLowerCase().includes(text) &&
+        Array.from(element.children).every(
+          (child) => !AriaInspector.getText(child).toLowerCase().includes(text)
+        )
+    );
+  }
+
+  /**
+   * Resolves a role= part, e.g. role=button[name="Save"].
+   * @private
+   * @param {string} body - Role with an optional name attribute
+   * @param {Document|Element} scope - Scope node
+   * @returns {Array<Element>} Matching elements
+   */
+  static #resolveRole(body, scope) {
+    const compound = SelectorParser.parseCompound(body);
+    const role = compound.find((simple) => simple.type === "tag")?.name.toLowerCase();
+    const nameFilter = compound.find(
+      (simple) => simple.type === "attr" && simple.name === "name"
+    );
+    const name = nameFilter?.value?.toLowerCase() ?? null;
+
+    return Array.from(scope.querySelectorAll("*")).filter((element) => {
+      const elementRole = AriaInspector.getRole(element);
+      if (elementRole !== role) {
+        return false;
+      }
+      return (
+        name === null ||
+        AriaInspector.getAccessibleName(element, elementRole).toLowerCase().includes(name)
+      );
+    });
+  }
+
+  /**
+   * Checks whether an element is the smallest element with exactly the given text.
+   * @private
+   * @param {Element} element - Candidate element
+   * @param {string} text - Normalized text
+   * @returns {boolean} True if the element's text matches and no child element has the same text
+   */
+  static #hasExactText(element, text) {
+    return (
+      AriaInspector.getText(element) === text &&
+      Array.from(element.children).every((child) => AriaInspector.getText(child) !== text)
+    );
+  }
+}
@@ -0,0 +1,330 @@
+import { REPAIR_MAX_ATTEMPTS } from "../config/constants.js";
+import { CSSEscaper } from "../utils/CSSEscaper.js";
+import { ElementFingerprint } from "../utils/ElementFingerprint.js";
+import { SelectorParser } from "../utils/SelectorParser.js";
+import { LocatorResolver } from "./LocatorResolver.js";
+import { SelectorResolver } from "./SelectorResolver.js";
+
+/**
+ * Pseudo-classes that select by position among siblings.
+ */
+const POSITIONAL_PSEUDOS = [
+  "nth-child",
+  "nth-last-child",
+  "nth-of-type",
+  "nth-last-of-type",
+  "first-child",
+  "last-child",
+  "only-child",
+  "first-of-type",
+  "last-of-type",
+  "only-of-type",
+];
+
+/**
+ * Relaxation types, in the order they are tried within the same number of changes.
+ */
+const RELAXATION_ORDER = ["position", "combinator", "class", "attribute", "id", "pseudo", "ancestor"];
+
+/**
+ * Finds the element a broken CSS selector most likely meant, by relaxing the selector until it matches again.
+ * A relaxation drops a positional pseudo-class, a class, an attribute, an ID or another pseudo-class,
+ * loosens a combinator (">" to descendant, "+" to "~"), or drops an ancestor (or sibling) part of the chain.
+ * Tags and the target part itself are kept. Relaxed selectors are tried breadth-first: all sets of k changes
+ * before any set of k + 1, so the first matches found need the fewest changes. Each of them votes for its matches,
+ * a vote split evenly among them; the candidate with the most votes wins, or the one closest to the fingerprint when one is given.
+ * Shadow-piercing selectors and chains are repaired in their last part; the outer parts must still match.
+ */
+export class SelectorRepairer {
+  /**
+   * Relaxes a selector until it matches, and picks the most likely intended element.
+   * The confidence (0 to 1) is the share of relaxations left unused, times the element's share of the matches
+   * (or its similarity to the fingerprint); a selector that still matches a single element gives 1.
+   * @param {string|Array<string>} selector - CSS selector, shadow-piercing selector or per-root selector chain
+   * @param {Document|ShadowRoot|Element} [root] - Node to search from (defaults to the global document)
+   * @param {Object|null} [fingerprint] - Fingerprint of the intended element, or some of its traits (see ElementFingerprint)
+   * @returns {{element: Element, relaxedSelector: string, confidence: number, changes: Array<{type: string, part: number, selector: string}>}} Intended element, the relaxed selector that found it,
+   *   the confidence, and the changes made (part is the index of the changed compound in the last selector part)
+   * @throws {Error} If the selector is not a CSS selector, or no relaxation of it matches within REPAIR_MAX_ATTEMPTS tries
+   */
+  static repair(selector, root = document, fingerprint = null) {
+    if (SelectorResolver.isXPath(selector) || LocatorResolver.isLocator(selector)) {
+      throw new Error("Only CSS selectors can be repaired");
+    }
+
+    const chain = Array.isArray(selector) ? selector : SelectorResolver.split(selector);
+    const roots =
+      chain.length === 1
+        ? [root]
+        : SelectorResolver.resolveAll(chain.slice(0, -1), root)
+            .map((host) => host.shadowRoot)
+            .filter((shadowRoot) => shadowRoot !== null && shadowRoot !== undefined);
+    const parts = SelectorParser.parse(chain[chain.length - 1]);
+    const relaxations = this.#getRelaxations(parts);
+
+    // Sets of relaxation indexes, ascending; level k holds every set of k relaxations
+    let level = [[]];
+    let attempts = 0;
+    const tried = new Set();
+
+    while (level.length > 0 && attempts < REPAIR_MAX_ATTEMPTS) {
+      const matches = [];
+      for (const applied of level) {
+        if (++attempts > REPAIR_MAX_ATTEMPTS) {
+          break;
+        }
+        const relaxedSelector = this.#build(parts, relaxations, applied);
+        if (relaxedSelector === null || tried.has(relaxedSelector)) {
+          continue;
+        }
+        tried.add(relaxedSelector);
+
+        const elements = this.#queryAll(roots, relaxedSelector);
+        if (elements.length > 0) {
+          matches.push({ applied, relaxedSelector, elements });
+        }
+      }
+
+      if (matches.length > 0) {
+        return this.#choose(matches, parts, relaxations, fingerprint);
+      }
+
+      level = level.flatMap((applied) => {
+        const next = [];
+        for (let i = (applied[applied.length - 1] ?? -1) + 1; i < relaxations.length; i++) {
+          next.push([...applied, i]);
+        }
+        return next;
+      });
+    }
+
+    throw new Error(`No element matches the selector "${chain[chain.length - 1]}" or a relaxation of it`);
+  }
+
+  /**
+   * Lists the relaxations a parsed selector allows, in RELAXATION_ORDER.
+   * @private
+   * @param {Array<{combinator: string|null, compound: Array<Object>}>} parts - Parsed selector
+   * @returns {Array<{type: string, part: number, simple?: number}>} Relaxations; simple is the index in the part's compound
+   */
+  static #getRelaxations(parts) {
+    const relaxations = [];
+
+    parts.forEach(({ combinator, compound }, part) => {
+      if (combinator === ">" || combinator === "+") {
+        relaxations.push({ type: "combinator", part });
+      }
+      if (part < parts.length - 1) {
+        relaxations.push({ type: "ancestor", part });
+      }
+
+      compound.forEach((simple, index) => {
+        const type = this.#getRelaxationType(simple);
+        if (type !== null) {
+          relaxations.push({ type, part, simple: index });
+        }
+      });
+    });
+
+    return relaxations.sort(
+      (a, b) => RELAXATION_ORDER.indexOf(a.type) - RELAXATION_ORDER.indexOf(b.type)
+    );
+  }
+
+  /**
+   * Returns how dropping a simple selector relaxes its compound.
+   * @private
+   * @param {Object} simple - Parsed simple selector
+   * @returns {string|null} Relaxation type, or null if the simple selector is kept (tags, * and :scope)
+   */
+  static #getRelaxationType(simple) {
+    switch (simple.type) {
+      case "class":
+        return "class";
+      case "attr":
+        return "attribute";
+      case "id":
+        return "id";
+      case "pseudo":
+        if (simple.name === "scope") {
+          return null;
+        }
+        return POSITIONAL_PSEUDOS.includes(simple.name) ? "position" : "pseudo";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Builds the selector with a set of relaxations applied.
+   * Parts joined across dropped parts get the loosest combinator that still follows from the original chain:
+   * descendant if the span goes down the tree, "~" if it only moves across siblings.
+   * @private
+   * @param {Array<{combinator: string|null, compound: Array<Object>}>} parts - Parsed selector
+   * @param {Array<Object>} relaxations - Relaxations of the selector
+   * @param {Array<number>} applied - Indexes of the relaxations to apply
+   * @returns {string|null} Relaxed selector, or null if a dropped part cannot be bridged (a sibling step followed by a descent)
+   */
+  static #build(parts, relaxations, applied) {
+    const changes = applied.map((index) => relaxations[index]);
+    const isApplied = (type, part) => changes.some((c) => c.type === type && c.part === part);
+
+    let result = "";
+    let pending = [];
+
+    for (let part = 0; part < parts.length; part++) {
+      const { combinator, compound } = parts[part];
+      if (combinator !== null) {
+        pending.push(
+          isApplied("combinator", part) ? (combinator === ">" ? " " : "~") : combinator
+        );
+      }
+      if (isApplied("ancestor", part)) {
+        continue;
+      }
+
+      if (result !== "") {
+        const joined = this.#joinCombinators(pending);
+        if (joined === null) {
+          return null;
+        }
+        result += joined === " " ? " " : " " + joined + " ";
+      }
+      pending = [];
+
+      const kept = compound.filter(
+        (simple, index) =>
+          !changes.some((c) => c.part === part && c.simple === index)
+      );
+      result += kept.length > 0 ? kept.map((simple) => this.#serialize(simple)).join("") : "*";
+    }
+
+    return result;
+  }
+
+  /**
+   * Combines the combinators between two kept parts into one.
+   * @private
+   * @param {Array<string>} combinators - Combinators from the left part to the right part
+   * @returns {string|null} Combined combinator, or null if no combinator covers the span
+   */
+  static #joinCombinators(combinators) {
+    if (combinators.length === 1) {
+      return combinators[0];
+    }
+
+    // Siblings of a descendant are descendants too, but descendants of a sibling are not
+    const isSibling = combinators.map((combinator) => combinator === "~" || combinator === "+");
+    const firstSibling = isSibling.indexOf(true);
+    if (firstSibling !== -1 && isSibling.slice(firstSibling).includes(false)) {
+      return null;
+    }
+    return firstSibling === 0 ? "~" : " ";
+  }
+
+  /**
+   * Serializes a parsed simple selector.
+   * @private
+   * @param {Object} simple - Parsed simple selector
+   * @returns {string} Selector text
+   */
+  static #serialize(simple) {
+    switch (simple.type) {
+      case "tag":
+        return CSSEscaper.escape(simple.name);
+      case "universal":
+        return "*";
+      case "id":
+        return "#" + CSSEscaper.escape(simple.name);
+      case "class":
+        return "." + CSSEscaper.escape(simple.name);
+      case "attr":
+        return (
+          "[" +
+          CSSEscaper.escape(simple.name) +
+          (simple.operator === null ? "" : simple.operator + CSSEscaper.quote(simple.value)) +
+          "]"
+        );
+      default:
+        return ":" + simple.name + (simple.argument === null ? "" : "(" + simple.argument + ")");
+    }
+  }
+
+  /**
+   * Queries a selector in every root.
+   * @private
+   * @param {Array<Document|ShadowRoot|Element>} roots - Query roots
+   * @param {string} selector - CSS selector
+   * @returns {Array<Element>} Matching elements, without duplicates
+   */
+  static #queryAll(roots, selector) {
+    const elements = [];
+    for (const root of roots) {
+      for (const element of root.querySelectorAll(selector)) {
+        if (!elements.includes(element)) {
+          elements.push(element);
+        }
+      }
+    }
+    return elements;
+  }
+
+  /**
+   * Picks the most likely intended element among the matches of the relaxed selectors.
+   * @private
+   * @param {Array<{applied: Array<number>, relaxedSelector: string, elements: Array<Element>}>} matches - Relaxed selectors with matches
+   * @param {Array<{combinator: string|null, compound: Array<Object>}>} parts - Parsed selector
+   * @param {Array<Object>} relaxations - Relaxations of the selector
+   * @param {Object|null} fingerprint - Fingerprint of the intended element, or some of its traits
+   * @returns {{element: Element, relaxedSelector: string, confidence: number, changes: Array<Object>}} Repair result
+   */
+  static #choose(matches, parts, relaxations, fingerprint) {
+    // Every relaxed selector has one vote, split among its matches
+    const votes = new Map();
+    for (const { elements } of matches) {
+      for (const element of elements) {
+        votes.set(element, (votes.get(element) ?? 0) + 1 / elements.length);
+      }
+    }
+
+    const candidates = Array.from(votes.keys());
+    const similarities = new Map(
+      candidates.map((element) => [
+        element,
+        fingerprint === null ? 1 : ElementFingerprint.score(element, fingerprint),
+      ])
+    );
+    const element = candidates.reduce((best, candidate) =>
+      similarities.get(candidate) > similarities.get(best) ||
+      (similarities.get(candidate) === similarities.get(best) && votes.get(candidate) > votes.get(best))
+        ? candidate
+        : best
+    );
+
+    // The narrowest relaxed selector that found the element tells what changed
+    const match = matches
+      .filter(({ elements }) => elements.includes(element))
+      .reduce((best, current) => (current.elements.length < best.elements.length ? current : best));
+
+    const share = fingerprint === null ? votes.get(element) / matches.length : similarities.get(element);
+    const confidence = (1 - match.applied.length / (relaxations.length + 1)) * share;
+
+    return {
+      element,
+      relaxedSelector: match.relaxedSelector,
+      confidence,
+      changes: match.applied.map((index) => {
+        const { type, part, simple } = relaxations[index];
+        let selector;
+        if (type === "combinator") {
+          selector = parts[part].combinator;
+        } else if (type === "ancestor") {
+          selector = parts[part].compound.map((s) => this.#serialize(s)).join("");
+        } else {
+          selector = this.#serialize(parts[part].compound[simple]);
+        }
+        return { type, part, selector };
+      }),
+    };
+  }
+}
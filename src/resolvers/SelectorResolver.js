@@ -0,0 +1,164 @@
+import { SHADOW_PIERCE_COMBINATOR } from "../config/constants.js";
+import { XPathDOMService } from "../services/XPathDOMService.js";
+import { LocatorResolver } from "./LocatorResolver.js";
+
+/**
+ * Resolves generated selectors back to elements.
+ * Understands shadow-piercing selectors ("host >>> inner") and selector chains (["host", "inner"]),
+ * where every part after the first is evaluated inside the open shadow root of the previous match.
+ * Also resolves frame paths: a selector per iframe followed by the selector inside the innermost frame.
+ * Strings starting with "/" or "(" are XPath expressions, which CSS selectors never start with;
+ * strings starting with an engine name (css=, text=, role=, xpath=) are locators, see LocatorResolver.
+ */
+export class SelectorResolver {
+  /**
+   * Checks whether a selector is an XPath expression.
+   * @param {string|Array<string>} selector - Selector string or per-root selector chain
+   * @returns {boolean} True for XPath expressions
+   */
+  static isXPath(selector) {
+    return typeof selector === "string" && /^\s*[/(]/.test(selector);
+  }
+
+  /**
+   * Splits a shadow-piercing selector into its per-root parts.
+   * Combinators inside strings, attribute brackets and parentheses are ignored.
+   * @param {string} selector - Selector, possibly containing >>> combinators
+   * @returns {Array<string>} Per-root selectors
+   */
+  static split(selector) {
+    const parts = [];
+    let current = "";
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+
+      if (char === "\\") {
+        current += char + (selector[i + 1] ?? "");
+        i++;
+        continue;
+      }
+
+      if (quote !== null) {
+        if (char === quote) {
+          quote = null;
+        }
+        current += char;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" || char === "(") {
+        depth++;
+      } else if (char === "]" || char === ")") {
+        depth--;
+      } else if (
+        depth === 0 &&
+        selector.startsWith(SHADOW_PIERCE_COMBINATOR, i)
+      ) {
+        parts.push(current.trim());
+        current = "";
+        i += SHADOW_PIERCE_COMBINATOR.length - 1;
+        continue;
+      }
+
+      current += char;
+    }
+
+    parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * Joins per-root selectors into a single shadow-piercing selector.
+   * @param {Array<string>} chain - Per-root selectors, outermost first
+   * @returns {string} Shadow-piercing selector
+   */
+  static join(chain) {
+    return chain.join(" " + SHADOW_PIERCE_COMBINATOR + " ");
+  }
+
+  /**
+   * Resolves a selector or selector chain to all matching elements.
+   * @param {string|Array<string>} selector - Selector string, XPath expression, locator or per-root selector chain
+   * @param {Document|ShadowRoot|Element} [root] - Node to start from (defaults to the global document)
+   * @returns {Array<Element>} Matching elements
+   */
+  static resolveAll(selector, root = document) {
+    if (this.isXPath(selector)) {
+      return XPathDOMService.evaluate(selector, root);
+    }
+    if (LocatorResolver.isLocator(selector)) {
+      return LocatorResolver.resolveAll(selector, root);
+    }
+
+    const chain = Array.isArray(selector) ? selector : this.split(selector);
+
+    let roots = [root];
+    let matches = [];
+
+    for (let i = 0; i < chain.length; i++) {
+      matches = [];
+      for (const currentRoot of roots) {
+        for (const match of currentRoot.querySelectorAll(chain[i])) {
+          if (!matches.includes(match)) {
+            matches.push(match);
+          }
+        }
+      }
+
+      // Descend into the open shadow roots of the matches for the next part
+      roots = matches
+        .map((match) => match.shadowRoot)
+        .filter((shadowRoot) => shadowRoot !== null && shadowRoot !== undefined);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Resolves a selector or selector chain to the first matching element.
+   * @param {string|Array<string>} selector - Selector string or per-root selector chain
+   * @param {Document|ShadowRoot|Element} [root] - Node to start from (defaults to the global document)
+   * @returns {Element|null} First matching element or null
+   */
+  static resolve(selector, root = document) {
+    return this.resolveAll(selector, root)[0] ?? null;
+  }
+
+  /**
+   * Resolves a frame path to all matching elements inside the innermost frame.
+   * Every entry but the last selects an iframe in the current document; the next entry is
+   * resolved in that iframe's content document. Only same-origin frames can be entered.
+   * @param {Array<string|Array<string>>} framePath - Iframe selectors followed by the inner selector
+   * @param {Document} [root] - Top document (defaults to the global document)
+   * @returns {Array<Element>} Matching elements
+   */
+  static resolveFramePathAll(framePath, root = document) {
+    let currentDocument = root;
+
+    for (let i = 0; i < framePath.length - 1; i++) {
+      const frame = this.resolve(framePath[i], currentDocument);
+      const contentDocument = frame?.contentDocument ?? null;
+      if (contentDocument === null) {
+        return [];
+      }
+      currentDocument = contentDocument;
+    }
+
+    return this.resolveAll(framePath[framePath.length - 1], currentDocument);
+  }
+
+  /**
+   * Resolves a frame path to the first matching element inside the innermost frame.
+   * @param {Array<string|Array<string>>} framePath - Iframe selectors followed by the inner selector
+   * @param {Document} [root] - Top document (defaults to the global document)
+   * @returns {Element|null} First matching element or null
+   */
+  static resolveFramePath(framePath, root = document) {
+    return this.resolveFramePathAll(framePath, root)[0] ?? null;
+  }
+}
@@ -3,13 +3,68 @@
  * Allows for easier testing by providing a mockable interface.
  */
 export class DOMService {
+  /**
+   * Checks whether a node is a shadow root.
+   * @param {Node} node - Node to check
+   * @returns {boolean} True if node is a ShadowRoot
+   */
+  static isShadowRoot(node) {
+    return (
+      node !== null &&
+      node.nodeType === 11 && // Node.DOCUMENT_FRAGMENT_NODE
+      node.host !== undefined &&
+      node.host !== null
+    );
+  }
+
+  /**
+   * Returns the node queries should run against for a root.
+   * A <template> element is queried through its content fragment.
+   * @param {Document|DocumentFragment|Element} root - Root node
+   * @returns {Document|DocumentFragment|Element} Query root
+   */
+  static toQueryRoot(root) {
+    if (root.nodeType === 1 && root.localName === "template" && root.content) {
+      return root.content;
+    }
+    return root;
+  }
+
+  /**
+   * Checks whether a root is an element, whose queries need :scope anchoring.
+   * @param {Node|null} root - Root node
+   * @returns {boolean} True if root is an element (other than a <template>)
+   */
+  static isElementRoot(root) {
+    return root !== null && this.toQueryRoot(root).nodeType === 1; // Node.ELEMENT_NODE
+  }
+
+  /**
+   * Creates a DOMService instance.
+   * Without a root, queries run against the global document, if there is one (see getRoot()).
+   * @param {Document|DocumentFragment|Element|null} [root] - Node to run queries against (defaults to the global document)
+   */
+  constructor(root = null) {
+    this.root = root === null ? null : DOMService.toQueryRoot(root);
+  }
+
+  /**
+   * Returns the node queries are run against.
+   * Outside the browser (e.g. jsdom or linkedom in Node.js) there may be no global document;
+   * callers then take the document from the elements (element.ownerDocument) instead.
+   * @returns {Document|DocumentFragment|Element|null} Query root, or null without a root and global document
+   */
+  getRoot() {
+    return this.root ?? globalThis.document ?? null;
+  }
+
   /**
    * Query all elements matching a selector.
    * @param {string} selector - CSS selector string
    * @returns {NodeList} List of matching elements
    */
   querySelectorAll(selector) {
-    return document.querySelectorAll(selector);
+    return this.getRoot().querySelectorAll(selector);
   }
 
   /**
@@ -18,6 +73,6 @@ export class DOMService {
    * @returns {Element|null} First matching element or null
    */
   querySelector(selector) {
-    return document.querySelector(selector);
+    return this.getRoot().querySelector(selector);
   }
 }
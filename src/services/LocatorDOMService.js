@@ -0,0 +1,26 @@
+import { DOMService } from "./DOMService.js";
+import { LocatorResolver } from "../resolvers/LocatorResolver.js";
+
+/**
+ * DOMService that resolves Playwright-style locators instead of CSS selectors.
+ * Lets the optimizers check locator candidates through the same interface.
+ */
+export class LocatorDOMService extends DOMService {
+  /**
+   * Query all elements matching a locator.
+   * @param {string} locator - Locator string
+   * @returns {Array<Element>} List of matching elements
+   */
+  querySelectorAll(locator) {
+    return LocatorResolver.resolveAll(locator, this.getRoot());
+  }
+
+  /**
+   * Query the first element matching a locator.
+   * @param {string} locator - Locator string
+   * @returns {Element|null} First matching element or null
+   */
+  querySelector(locator) {
+    return LocatorResolver.resolve(locator, this.getRoot());
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Evaluates selector sets for the optimizers.
+ * Without the cache, every set is built into a selector and queried. With it (matchCache option, CSS output only),
+ * the match set of every descriptor is queried once; a set is then evaluated level by level, from the outermost
+ * ancestor down to the target: the descriptors of a level are intersected, and the result is narrowed to the
+ * elements whose parent (for adjacent levels) or some ancestor (otherwise) matched the level above,
+ * the same way SelectorBuilder joins levels with the child and descendant combinators.
+ * Match sets are only valid for the DOM state they were computed in; reset() drops them.
+ * In include/exclude mode, results are restricted to the included and excluded elements (setRelevant()),
+ * so the optimizers' "matches exactly the targets" checks become "matches the includes and no excludes".
+ */
+export class MatchSetService {
+  /**
+   * Creates a MatchSetService instance.
+   * @param {DOMService} domService - Service for DOM queries, bound to the query root
+   * @param {SelectorBuilder} selectorBuilder - Builder for constructing selectors for the query root
+   * @param {Object} [options] - Service options
+   * @param {boolean} [options.cached] - Evaluate sets from cached per-descriptor match sets (CSS only)
+   */
+  constructor(domService, selectorBuilder, { cached = false } = {}) {
+    this.domService = domService;
+    this.selectorBuilder = selectorBuilder;
+    this.cached = cached;
+    this.relevant = null;
+    this.reset();
+  }
+
+  /**
+   * Restricts the results of match() and query() to the given elements, other matches being ignored.
+   * @param {Array<Element>|null} elements - Included and excluded elements, or null for no restriction
+   */
+  setRelevant(elements) {
+    this.relevant = elements === null ? null : new Set(elements);
+  }
+
+  /**
+   * Drops the cached match sets, e.g. before optimizing candidates generated from a new DOM state.
+   */
+  reset() {
+    this.descriptorMatches = new Map();
+    this.universe = null;
+  }
+
+  /**
+   * Returns the (relevant) elements matched by a selector set.
+   * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
+   * @returns {Array<Element>} Matching elements, in document order
+   */
+  match(selectorSet) {
+    if (!this.cached) {
+      return this.query(selectorSet);
+    }
+
+    // Group descriptors by level, the target level (<= 0) always present
+    const levelMap = new Map([[0, []]]);
+    for (const descriptor of selectorSet) {
+      const level = Math.max(descriptor.level, 0);
+      if (!levelMap.has(level)) {
+        levelMap.set(level, []);
+      }
+      levelMap.get(level).push(descriptor);
+    }
+
+    // Outermost ancestor first
+    const levels = Array.from(levelMap.keys()).sort((a, b) => b - a);
+
+    let matches = null;
+    let prevLevel = null;
+    for (const level of levels) {
+      const levelMatches = this.#intersect(levelMap.get(level));
+      if (levelMatches === null) {
+        // A descriptor could not be queried on its own
+        return this.query(selectorSet);
+      }
+
+      if (matches === null) {
+        matches = levelMatches;
+      } else {
+        const anchors = new Set(matches);
+        matches =
+          level === prevLevel - 1
+            ? levelMatches.filter((element) => anchors.has(element.parentElement))
+            : levelMatches.filter((element) => this.#hasAncestorIn(element, anchors));
+      }
+
+      prevLevel = level;
+    }
+
+    return this.#restrict(matches);
+  }
+
+  /**
+   * Returns the (relevant) elements matched by a selector set, querying the DOM.
+   * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
+   * @returns {Array<Element>} Matching elements, in document order
+   */
+  query(selectorSet) {
+    const selector = this.selectorBuilder.build(selectorSet);
+    if (selector === "") {
+      return [];
+    }
+    return this.#restrict(Array.from(this.domService.querySelectorAll(selector)));
+  }
+
+  /**
+   * Drops the elements outside the relevant ones, if any were set.
+   * @private
+   * @param {Array<Element>} elements - Matching elements
+   * @returns {Array<Element>} The relevant matching elements
+   */
+  #restrict(elements) {
+    if (this.relevant === null) {
+      return elements;
+    }
+    return elements.filter((element) => this.relevant.has(element));
+  }
+
+  /**
+   * Queries the match sets of the descriptors that are not cached yet, so evaluating sets made of them
+   * needs no further query. Does nothing without the cache.
+   * @param {Array<SelectorDescriptor>} descriptors - Descriptors to query
+   * @returns {Generator<undefined, void>} Steps suspended before every query (see StepRunner)
+   */
+  *prefetch(descriptors) {
+    if (!this.cached) {
+      return;
+    }
+    for (const descriptor of descriptors) {
+      if (!this.descriptorMatches.has(descriptor.selector)) {
+        yield;
+        this.#getDescriptorMatches(descriptor);
+      }
+    }
+  }
+
+  /**
+   * Checks the cached evaluation of a selector set against a DOM query.
+   * @param {Array<SelectorDescriptor>} selectorSet - Set of selector descriptors
+   * @returns {boolean} True if both find the same elements (always true without the cache)
+   */
+  verify(selectorSet) {
+    if (!this.cached) {
+      return true;
+    }
+
+    const expected = this.query(selectorSet);
+    const actual = new Set(this.match(selectorSet));
+    return (
+      actual.size === expected.length &&
+      expected.every((element) => actual.has(element))
+    );
+  }
+
+  /**
+   * Runs steps with the cache disabled, so every set is queried.
+   * The cache stays disabled while the steps are suspended.
+   * @param {Generator} steps - Steps to run, see StepRunner
+   * @returns {Generator} Steps returning the result of the given steps
+   */
+  *withoutCache(steps) {
+    const cached = this.cached;
+    this.cached = false;
+    try {
+      return yield* steps;
+    } finally {
+      this.cached = cached;
+    }
+  }
+
+  /**
+   * Intersects the match sets of the descriptors of one level.
+   * A level without descriptors matches every element under the query root.
+   * @private
+   * @param {Array<SelectorDescriptor>} descriptors - Descriptors at the same level
+   * @returns {Array<Element>|null} Elements matching all descriptors, in document order, or null if a descriptor cannot be queried on its own
+   */
+  #intersect(descriptors) {
+    if (descriptors.length === 0) {
+      if (this.universe === null) {
+        this.universe = Array.from(this.domService.querySelectorAll("*"));
+      }
+      return this.universe;
+    }
+
+    const sets = [];
+    for (const descriptor of descriptors) {
+      const descriptorMatches = this.#getDescriptorMatches(descriptor);
+      if (descriptorMatches === null) {
+        return null;
+      }
+      sets.push(descriptorMatches);
+    }
+
+    // Filter the smallest set by the others
+    sets.sort((a, b) => a.elements.length - b.elements.length);
+    const [smallest, ...others] = sets;
+    return smallest.elements.filter((element) =>
+      others.every((other) => other.set.has(element))
+    );
+  }
+
+  /**
+   * Returns the cached match set of a single descriptor, querying it on first use.
+   * The :scope descriptor matches the query root itself.
+   * @private
+   * @param {SelectorDescriptor} descriptor - Selector descriptor
+   * @returns {{elements: Array<Element>, set: Set<Element>}|null} Matching elements, or null if the descriptor cannot be queried on its own
+   */
+  #getDescriptorMatches(descriptor) {
+    const key = descriptor.selector;
+    if (!this.descriptorMatches.has(key)) {
+      let elements = null;
+      if (key === ":scope") {
+        const root = this.domService.getRoot();
+        elements = root.nodeType === 1 ? [root] : []; // Node.ELEMENT_NODE
+      } else {
+        try {
+          elements = Array.from(this.domService.querySelectorAll(key));
+        } catch {
+          elements = null;
+        }
+      }
+      this.descriptorMatches.set(
+        key,
+        elements === null ? null : { elements, set: new Set(elements) }
+      );
+    }
+    return this.descriptorMatches.get(key);
+  }
+
+  /**
+   * Checks whether any ancestor of an element is in a set.
+   * @private
+   * @param {Element} element - The element
+   * @param {Set<Element>} anchors - Candidate ancestors
+   * @returns {boolean} True if an ancestor of the element is in the set
+   */
+  #hasAncestorIn(element, anchors) {
+    for (let node = element.parentElement; node !== null; node = node.parentElement) {
+      if (anchors.has(node)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
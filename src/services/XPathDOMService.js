@@ -0,0 +1,53 @@
+import { DOMService } from "./DOMService.js";
+
+/**
+ * XPathResult.ORDERED_NODE_SNAPSHOT_TYPE
+ */
+const ORDERED_NODE_SNAPSHOT_TYPE = 7;
+
+/**
+ * DOMService that evaluates XPath expressions instead of CSS selectors.
+ * Lets the optimizers check XPath candidates with document.evaluate through the same interface.
+ */
+export class XPathDOMService extends DOMService {
+  /**
+   * Evaluates an XPath expression against a context node.
+   * @param {string} expression - XPath expression
+   * @param {Document|Element} contextNode - Context node
+   * @returns {Array<Node>} Matching nodes in document order
+   */
+  static evaluate(expression, contextNode) {
+    const document = contextNode.nodeType === 9 ? contextNode : contextNode.ownerDocument; // Node.DOCUMENT_NODE
+    const result = document.evaluate(
+      expression,
+      contextNode,
+      null,
+      ORDERED_NODE_SNAPSHOT_TYPE,
+      null
+    );
+
+    const nodes = [];
+    for (let i = 0; i < result.snapshotLength; i++) {
+      nodes.push(result.snapshotItem(i));
+    }
+    return nodes;
+  }
+
+  /**
+   * Query all elements matching an XPath expression.
+   * @param {string} expression - XPath expression
+   * @returns {Array<Node>} List of matching nodes
+   */
+  querySelectorAll(expression) {
+    return XPathDOMService.evaluate(expression, this.getRoot());
+  }
+
+  /**
+   * Query the first element matching an XPath expression.
+   * @param {string} expression - XPath expression
+   * @returns {Node|null} First matching node or null
+   */
+  querySelector(expression) {
+    return this.querySelectorAll(expression)[0] ?? null;
+  }
+}
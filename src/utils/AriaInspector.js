@@ -0,0 +1,237 @@
+/**
+ * Implicit ARIA roles by tag name.
+ * Tags whose role depends on attributes (a, img, input, select, section) are handled in getRole().
+ */
+const IMPLICIT_ROLES = {
+  article: "article",
+  aside: "complementary",
+  button: "button",
+  dialog: "dialog",
+  fieldset: "group",
+  form: "form",
+  h1: "heading",
+  h2: "heading",
+  h3: "heading",
+  h4: "heading",
+  h5: "heading",
+  h6: "heading",
+  hr: "separator",
+  li: "listitem",
+  main: "main",
+  menu: "list",
+  nav: "navigation",
+  ol: "list",
+  optgroup: "group",
+  option: "option",
+  output: "status",
+  progress: "progressbar",
+  summary: "button",
+  table: "table",
+  tbody: "rowgroup",
+  td: "cell",
+  textarea: "textbox",
+  tfoot: "rowgroup",
+  th: "columnheader",
+  thead: "rowgroup",
+  tr: "row",
+  ul: "list",
+};
+
+/**
+ * Implicit ARIA roles of <input> elements by type.
+ */
+const INPUT_ROLES = {
+  button: "button",
+  checkbox: "checkbox",
+  email: "textbox",
+  image: "button",
+  number: "spinbutton",
+  radio: "radio",
+  range: "slider",
+  reset: "button",
+  search: "searchbox",
+  submit: "button",
+  tel: "textbox",
+  text: "textbox",
+  url: "textbox",
+};
+
+/**
+ * Roles whose accessible name can come from the element's text content.
+ */
+const NAME_FROM_CONTENT_ROLES = [
+  "button",
+  "cell",
+  "checkbox",
+  "columnheader",
+  "heading",
+  "link",
+  "listitem",
+  "menuitem",
+  "option",
+  "radio",
+  "row",
+  "switch",
+  "tab",
+  "tooltip",
+];
+
+/**
+ * Utility for reading the text, ARIA role and accessible name of elements.
+ * Covers the common subset of the HTML-AAM mappings and accessible name computation,
+ * enough to build and verify role and text locators.
+ */
+export class AriaInspector {
+  /**
+   * Returns the whitespace-normalized text content of an element.
+   * @param {Element} element - The element
+   * @returns {string} Trimmed text with collapsed whitespace
+   */
+  static getText(element) {
+    return this.normalize(element.textContent ?? "");
+  }
+
+  /**
+   * Normalizes whitespace the way text locators compare text.
+   * @param {string} text - Raw text
+   * @returns {string} Trimmed text with collapsed whitespace
+   */
+  static normalize(text) {
+    return text.replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Returns the ARIA role of an element: the first token of its role attribute, or its implicit role.
+   * @param {Element} element - The element
+   * @returns {string|null} Role name, or null if the element has no role
+   */
+  static getRole(element) {
+    const explicitRole = (element.getAttribute("role") ?? "").trim().split(/\s+/)[0];
+    if (explicitRole !== "") {
+      return explicitRole.toLowerCase();
+    }
+
+    const tag = element.localName;
+    switch (tag) {
+      case "a":
+      case "area":
+        return element.hasAttribute("href") ? "link" : null;
+      case "img":
+        return element.getAttribute("alt") === "" ? "presentation" : "img";
+      case "input": {
+        const type = (element.getAttribute("type") ?? "text").toLowerCase();
+        if (INPUT_ROLES[type] === "textbox" && element.hasAttribute("list")) {
+          return "combobox";
+        }
+        return INPUT_ROLES[type] ?? null;
+      }
+      case "select":
+        return element.hasAttribute("multiple") ||
+          parseInt(element.getAttribute("size") ?? "1", 10) > 1
+          ? "listbox"
+          : "combobox";
+      case "section":
+        return this.getAccessibleName(element, "region") !== "" ? "region" : null;
+      default:
+        return IMPLICIT_ROLES[tag] ?? null;
+    }
+  }
+
+  /**
+   * Returns the accessible name of an element.
+   * Uses, in order: aria-labelledby, aria-label, native labels (label, alt, value, legend, caption),
+   * text content for roles that take their name from content, and title.
+   * @param {Element} element - The element
+   * @param {string|null} [role] - The element's role, if already known
+   * @returns {string} Accessible name (empty string if none)
+   */
+  static getAccessibleName(element, role = this.getRole(element)) {
+    const document = element.ownerDocument;
+
+    const labelledBy = (element.getAttribute("aria-labelledby") ?? "").trim();
+    if (labelledBy !== "") {
+      const name = labelledBy
+        .split(/\s+/)
+        .map((id) => document.getElementById(id))
+        .filter((labelElement) => labelElement !== null)
+        .map((labelElement) => this.getText(labelElement))
+        .join(" ");
+      if (name.trim() !== "") {
+        return this.normalize(name);
+      }
+    }
+
+    const label = this.normalize(element.getAttribute("aria-label") ?? "");
+    if (label !== "") {
+      return label;
+    }
+
+    const nativeName = this.#getNativeName(element);
+    if (nativeName !== "") {
+      return nativeName;
+    }
+
+    if (role !== null && NAME_FROM_CONTENT_ROLES.includes(role)) {
+      const text = this.getText(element);
+      if (text !== "") {
+        return text;
+      }
+    }
+
+    return this.normalize(element.getAttribute("title") ?? "");
+  }
+
+  /**
+   * Returns the name provided by the host language (labels, alt text, button values, captions).
+   * @private
+   * @param {Element} element - The element
+   * @returns {string} Native name (empty string if none)
+   */
+  static #getNativeName(element) {
+    const tag = element.localName;
+
+    if (["input", "select", "textarea", "meter", "output", "progress"].includes(tag)) {
+      const type = (element.getAttribute("type") ?? "").toLowerCase();
+      if (tag === "input" && ["button", "submit", "reset"].includes(type)) {
+        return this.normalize(element.getAttribute("value") ?? "");
+      }
+      if (tag === "input" && type === "image") {
+        return this.normalize(element.getAttribute("alt") ?? "");
+      }
+
+      const labels = [];
+      const id = element.getAttribute("id");
+      if (id !== null && id !== "") {
+        for (const labelElement of element.ownerDocument.querySelectorAll("label[for]")) {
+          if (labelElement.getAttribute("for") === id) {
+            labels.push(labelElement);
+          }
+        }
+      }
+      const wrappingLabel = element.closest("label");
+      if (wrappingLabel !== null && !labels.includes(wrappingLabel)) {
+        labels.push(wrappingLabel);
+      }
+      const name = labels.map((labelElement) => this.getText(labelElement)).join(" ");
+      if (name.trim() !== "") {
+        return this.normalize(name);
+      }
+
+      return this.normalize(element.getAttribute("placeholder") ?? "");
+    }
+
+    if (tag === "img" || tag === "area") {
+      return this.normalize(element.getAttribute("alt") ?? "");
+    }
+
+    const captionTag = { fieldset: "legend", table: "caption", figure: "figcaption" }[tag];
+    if (captionTag !== undefined) {
+      const caption = Array.from(element.children).find(
+        (child) => child.localName === captionTag
+      );
+      return caption !== undefined ? this.getText(caption) : "";
+    }
+
+    return "";
+  }
+}
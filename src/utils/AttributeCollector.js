@@ -1,9 +1,6 @@
 import { BlacklistMatcher } from './BlacklistMatcher.js';
-import {
-  BLACKLIST_IDS,
-  BLACKLIST_CLASSES,
-  BLACKLIST_ATTRIBUTES,
-} from '../config/constants.js';
+import { CSSEscaper } from './CSSEscaper.js';
+import { DEFAULT_OPTIONS } from '../config/options.js';
 
 /**
  * Utility class for collecting and analyzing attributes from elements.
@@ -12,9 +9,13 @@ export class AttributeCollector {
   /**
    * Creates an AttributeCollector instance.
    * @param {HTMLElement|SVGElement} targetElement - The target element to compare against
+   * @param {Object} [options] - Resolved generator options (blacklists, attribute values and volatile)
    */
-  constructor(targetElement) {
+  constructor(targetElement, options = DEFAULT_OPTIONS) {
     this.targetElement = targetElement;
+    this.blacklist = options.blacklist;
+    this.attributeValues = options.attributeValues;
+    this.volatile = options.volatile;
   }
 
   /**
@@ -33,8 +34,8 @@ export class AttributeCollector {
       }
 
       const id = currentElement.getAttribute("id");
-      if (id !== null && !BlacklistMatcher.matches(id, BLACKLIST_IDS)) {
-        extraIds.push(CSS.escape(id));
+      if (id !== null && !BlacklistMatcher.isIgnored(id, this.blacklist.ids, this.volatile)) {
+        extraIds.push(CSSEscaper.escape(id));
       }
     }
 
@@ -60,9 +61,9 @@ export class AttributeCollector {
         if (
           !this.targetElement.classList.contains(currentClass) &&
           !extraClasses.includes(currentClass) &&
-          !BlacklistMatcher.matches(currentClass, BLACKLIST_CLASSES)
+          !BlacklistMatcher.isIgnored(currentClass, this.blacklist.classes, this.volatile)
         ) {
-          extraClasses.push(CSS.escape(currentClass));
+          extraClasses.push(CSSEscaper.escape(currentClass));
         }
       });
     }
@@ -91,9 +92,9 @@ export class AttributeCollector {
         if (
           !this.targetElement.hasAttribute(currentAttr.name) &&
           !extraAttr.includes(currentAttr.name) &&
-          !BlacklistMatcher.matches(currentAttr.name, BLACKLIST_ATTRIBUTES)
+          !BlacklistMatcher.isIgnored(currentAttr.name, this.blacklist.attributes, this.volatile)
         ) {
-          extraAttr.push(CSS.escape(currentAttr.name));
+          extraAttr.push(CSSEscaper.escape(currentAttr.name));
         }
       }
     }
@@ -102,15 +103,60 @@ export class AttributeCollector {
   }
 
   /**
-   * Collects all extra attributes (IDs, classes, attributes) at once.
+   * Collects attribute values from elements that differ from the target's value for the same attribute.
    * @param {NodeList|Array} elements - Elements to analyze
-   * @returns {Object} Object with extraIds, extraClasses, extraAttributes arrays
+   * @returns {Array<string>} Array of CSS-escaped name="value" pairs
+   */
+  collectExtraAttributeValues(elements) {
+    const extraValues = [];
+
+    if (!this.attributeValues.exact) {
+      return extraValues;
+    }
+
+    for (let i = 0; i < elements.length; i++) {
+      const currentElement = elements[i];
+
+      if (currentElement === this.targetElement) {
+        continue;
+      }
+
+      const attributes = currentElement.attributes;
+      for (let j = 0; j < attributes.length; j++) {
+        const { name, value } = attributes.item(j);
+        if (
+          name === 'class' ||
+          value === '' ||
+          value.length > this.attributeValues.maxLength ||
+          !this.targetElement.hasAttribute(name) ||
+          this.targetElement.getAttribute(name) === value ||
+          BlacklistMatcher.isIgnored(name, this.blacklist.attributes, this.volatile) ||
+          BlacklistMatcher.isIgnored(value, [], this.volatile)
+        ) {
+          continue;
+        }
+
+        const pair = CSSEscaper.escape(name) + '=' + CSSEscaper.quote(value);
+        if (!extraValues.includes(pair)) {
+          extraValues.push(pair);
+        }
+      }
+    }
+
+    return extraValues;
+  }
+
+  /**
+   * Collects all extra attributes (IDs, classes, attributes, attribute values) at once.
+   * @param {NodeList|Array} elements - Elements to analyze
+   * @returns {Object} Object with extraIds, extraClasses, extraAttributes, extraAttributeValues arrays
    */
   collectAll(elements) {
     return {
       extraIds: this.collectExtraIds(elements),
       extraClasses: this.collectExtraClasses(elements),
       extraAttributes: this.collectExtraAttributes(elements),
+      extraAttributeValues: this.collectExtraAttributeValues(elements),
     };
   }
 }
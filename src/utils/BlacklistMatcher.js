@@ -1,5 +1,25 @@
 /**
- * Utility for matching strings against wildcard patterns.
+ * Tokens produced by CSS-in-JS libraries, CSS modules and frameworks, with the reason reported for them.
+ */
+const GENERATED_TOKEN_PATTERNS = [
+  { regex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, reason: "uuid" },
+  { regex: /^css-[a-z0-9]{4,}(-|$)/i, reason: "css-in-js prefix (emotion)" },
+  { regex: /^sc-[a-zA-Z]{4,}$/, reason: "css-in-js prefix (styled-components)" },
+  { regex: /^(jss|makeStyles-\w+-|Mui\w+-\w+-)\d+$/, reason: "css-in-js prefix (jss)" },
+  { regex: /^svelte-[a-z0-9]{4,}$/, reason: "framework prefix (svelte)" },
+  { regex: /^_?ng(content|host)-/, reason: "framework prefix (angular)" },
+  { regex: /^(ember|ext-gen|yui_)\d+/, reason: "framework prefix (generated id)" },
+  { regex: /^[\w-]+__[a-zA-Z0-9_-]{5}$/, reason: "css modules hash" },
+];
+
+/**
+ * Minimum Shannon entropy (bits per character) of a separator-free token that looks random.
+ */
+const RANDOM_TOKEN_ENTROPY = 3.3;
+
+/**
+ * Utility for matching strings against wildcard patterns
+ * and for detecting generated (volatile) IDs, class names and attribute values.
  */
 export class BlacklistMatcher {
   /**
@@ -19,7 +39,7 @@ export class BlacklistMatcher {
   /**
    * Checks if a value matches any pattern in the blacklist.
    * @param {string} value - Value to check
-   * @param {Array<string>} patterns - Array of wildcard patterns
+   * @param {Array<string|RegExp>} patterns - Array of wildcard patterns or regular expressions
    * @returns {boolean} True if value matches any pattern
    */
   static matches(value, patterns) {
@@ -28,7 +48,7 @@ export class BlacklistMatcher {
     }
 
     for (const pattern of patterns) {
-      const regex = this.#patternToRegex(pattern);
+      const regex = typeof pattern === 'string' ? this.#patternToRegex(pattern) : pattern;
       if (regex.test(value)) {
         return true;
       }
@@ -40,7 +60,7 @@ export class BlacklistMatcher {
   /**
    * Filters an array of values, removing those that match blacklist patterns.
    * @param {Array<string>} values - Values to filter
-   * @param {Array<string>} patterns - Array of wildcard patterns
+   * @param {Array<string|RegExp>} patterns - Array of wildcard patterns or regular expressions
    * @returns {Array<string>} Filtered values
    */
   static filter(values, patterns) {
@@ -54,4 +74,111 @@ export class BlacklistMatcher {
 
     return values.filter(value => !this.matches(value, patterns));
   }
+
+  /**
+   * Checks if a value is blacklisted, or volatile while volatile tokens are excluded.
+   * @param {string} value - Value to check
+   * @param {Array<string|RegExp>} patterns - Array of wildcard patterns or regular expressions
+   * @param {string} volatileAction - The volatile option: "off", "penalize" or "exclude"
+   * @returns {boolean} True if the value must not be used in selectors
+   */
+  static isIgnored(value, patterns, volatileAction) {
+    return (
+      this.matches(value, patterns) ||
+      (volatileAction === 'exclude' && this.getVolatileReason(value) !== null)
+    );
+  }
+
+  /**
+   * Classifies a token as generated (likely to change between builds or page loads).
+   * Looks at known CSS-in-JS and framework patterns, the share of digits,
+   * hash-like segments and the entropy of separator-free tokens.
+   * @param {string} value - ID, class name, attribute name or attribute value
+   * @returns {string|null} Reason the token looks generated, or null if it looks stable
+   */
+  static getVolatileReason(value) {
+    if (!value) {
+      return null;
+    }
+
+    for (const { regex, reason } of GENERATED_TOKEN_PATTERNS) {
+      if (regex.test(value)) {
+        return reason;
+      }
+    }
+
+    // Mostly digits, e.g. item-48213 or 1699999999
+    const alphanumeric = value.replace(/[^a-zA-Z0-9]/g, '');
+    const digits = alphanumeric.replace(/[^0-9]/g, '').length;
+    if (digits >= 3 && digits / alphanumeric.length >= 0.5) {
+      return 'digit ratio';
+    }
+
+    const segments = value.split(/[-_:.\s]+/);
+    if (segments.some((segment) => this.#isHashSegment(segment))) {
+      return 'hash-like segment';
+    }
+
+    // A long number among words, e.g. user-48213-row
+    if (segments.length > 1 && segments.some((segment) => /^[0-9]{4,}$/.test(segment))) {
+      return 'numeric segment';
+    }
+
+    if (
+      segments.length === 1 &&
+      value.length >= 10 &&
+      /[0-9]/.test(value) &&
+      this.#entropy(value) >= RANDOM_TOKEN_ENTROPY
+    ) {
+      return 'high entropy';
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks whether a segment looks like a hash: letters and digits interleaved (1x2y3z, 3xYz1),
+   * or mixed case without the lowercase runs of words (aXZVg, kQwJKb).
+   * @param {string} segment - Segment of a token, without separators
+   * @returns {boolean} True if the segment looks like a hash
+   * @private
+   */
+  static #isHashSegment(segment) {
+    if (segment.length < 5 || !/^[a-zA-Z0-9]+$/.test(segment)) {
+      return false;
+    }
+
+    const longestLetterRun = Math.max(
+      ...(segment.match(/[a-zA-Z]+/g) ?? ['']).map((run) => run.length)
+    );
+    const letterDigitChanges = (segment.match(/[a-zA-Z](?=[0-9])|[0-9](?=[a-zA-Z])/g) ?? []).length;
+    if (letterDigitChanges >= 2 && longestLetterRun < 4) {
+      return true;
+    }
+
+    const longestLowercaseRun = Math.max(
+      ...(segment.match(/[a-z]+/g) ?? ['']).map((run) => run.length)
+    );
+    return /[a-z]/.test(segment) && /[A-Z]/.test(segment) && longestLowercaseRun < 3;
+  }
+
+  /**
+   * Calculates the Shannon entropy of a string.
+   * @param {string} value - String to measure
+   * @returns {number} Entropy in bits per character
+   * @private
+   */
+  static #entropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+      counts.set(char, (counts.get(char) ?? 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const p = count / value.length;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * Utility for escaping values used inside CSS selectors.
+ */
+export class CSSEscaper {
+  /**
+   * Escapes a value for use as a CSS identifier, e.g. an ID or class name.
+   * Follows the CSSOM "serialize an identifier" algorithm, so the result equals CSS.escape(),
+   * which DOM implementations outside the browser do not always provide.
+   * @param {string} value - Raw value
+   * @returns {string} Escaped identifier
+   */
+  static escape(value) {
+    const string = String(value);
+    let result = "";
+    for (let i = 0; i < string.length; i++) {
+      const char = string.charAt(i);
+      const code = string.charCodeAt(i);
+      const isDigit = code >= 0x30 && code <= 0x39;
+      if (code === 0) {
+        result += "\uFFFD";
+      } else if (
+        (code >= 0x1 && code <= 0x1f) ||
+        code === 0x7f ||
+        (i === 0 && isDigit) ||
+        (i === 1 && isDigit && string.charAt(0) === "-")
+      ) {
+        result += "\\" + code.toString(16) + " ";
+      } else if (i === 0 && char === "-" && string.length === 1) {
+        result += "\\" + char;
+      } else if (code >= 0x80 || char === "-" || char === "_" || /[0-9A-Za-z]/.test(char)) {
+        result += char;
+      } else {
+        result += "\\" + char;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Quotes a value as a double-quoted CSS string, e.g. for attribute value selectors.
+   * Escapes quotes and backslashes; newlines and other control characters become hex escapes.
+   * @param {string} value - Raw value
+   * @returns {string} Quoted CSS string, including the surrounding quotes
+   */
+  static quote(value) {
+    let result = '"';
+    for (const char of String(value)) {
+      const code = char.codePointAt(0);
+      if (char === '"' || char === "\\") {
+        result += "\\" + char;
+      } else if (code === 0) {
+        result += "\uFFFD";
+      } else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f) {
+        result += "\\" + code.toString(16) + " ";
+      } else {
+        result += char;
+      }
+    }
+    return result + '"';
+  }
+}
@@ -0,0 +1,251 @@
+import { BlacklistMatcher } from "./BlacklistMatcher.js";
+import { FINGERPRINT_TEXT_MAX_LENGTH } from "../config/constants.js";
+
+/**
+ * Weight of every trait in the similarity score.
+ */
+const WEIGHTS = {
+  tag: 1,
+  id: 1,
+  classes: 2,
+  attributes: 2,
+  text: 2,
+  siblingIndex: 1,
+  ancestors: 2,
+};
+
+/**
+ * Serializable fingerprints of elements, to find an element again once none of its stored selectors match.
+ * A fingerprint holds the element's tag, stable ID, classes and attributes (not blacklisted, not volatile),
+ * its trimmed text, its index among its siblings, and the descriptors of its ancestors, as the parent generator
+ * produces them ({cost, level, type, selector}). Only local descriptors (id, tag, class, attr) of the ancestors
+ * are kept; exclusion and sibling descriptors describe the ancestors' surroundings rather than the ancestors.
+ *
+ * Similarity is a weighted average over the traits the fingerprint has (see WEIGHTS), so partial fingerprints
+ * such as {tag, text} work too: tag and ID count as equal or not, classes by overlap (Jaccard index), attributes
+ * by the share of equal values, text by equality or else word overlap, the sibling index by its distance,
+ * and ancestor descriptors by the share matching the candidate's ancestor at their level, nearer levels weighing more.
+ */
+export class ElementFingerprint {
+  /**
+   * Creates the fingerprint of an element.
+   * @param {HTMLElement|SVGElement} element - Element to fingerprint
+   * @param {ParentSelectorGenerator} parentGenerator - Generator for the ancestor descriptors
+   * @param {Object} options - Resolved generator options (blacklists, volatile and attribute value length)
+   * @returns {{tag: string, id: string|null, classes: Array<string>, attributes: Object<string, string>, text: string, siblingIndex: number, ancestors: Array<SelectorDescriptor>}} Fingerprint, plain JSON data
+   */
+  static create(element, parentGenerator, options) {
+    const { blacklist, attributeValues } = options;
+    const isVolatile = (value) =>
+      options.volatile !== "off" && BlacklistMatcher.getVolatileReason(value) !== null;
+    const isStable = (value, patterns) =>
+      !BlacklistMatcher.matches(value, patterns) && !isVolatile(value);
+
+    const attributes = {};
+    for (const { name, value } of Array.from(element.attributes)) {
+      if (
+        name !== "class" &&
+        isStable(name, blacklist.attributes) &&
+        value.length <= attributeValues.maxLength &&
+        !isVolatile(value)
+      ) {
+        attributes[name] = value;
+      }
+    }
+
+    return {
+      tag: element.localName,
+      id: element.id !== "" && isStable(element.id, blacklist.ids) ? element.id : null,
+      classes: Array.from(element.classList).filter((name) => isStable(name, blacklist.classes)),
+      attributes,
+      text: this.#getText(element),
+      siblingIndex: this.#getSiblingIndex(element),
+      ancestors: parentGenerator
+        .generate([element])
+        .filter((descriptor) => descriptor.type !== "pseudo" && descriptor.volatile === undefined)
+        .map(({ cost, level, type, selector }) => ({ cost, level, type, selector })),
+    };
+  }
+
+  /**
+   * Scores how similar an element is to a fingerprint.
+   * @param {Element} element - Candidate element
+   * @param {Object} fingerprint - Fingerprint from create(), or some of its traits
+   * @returns {number} Similarity from 0 to 1 (1 when the fingerprint has no traits)
+   */
+  static score(element, fingerprint) {
+    const { score, weight } = this.#scoreLocal(element, fingerprint);
+    const ancestors = this.#scoreAncestors(element, fingerprint);
+    const total = weight + (ancestors === null ? 0 : WEIGHTS.ancestors);
+    return total === 0 ? 1 : (score + (ancestors ?? 0) * WEIGHTS.ancestors) / total;
+  }
+
+  /**
+   * Finds the element most similar to a fingerprint.
+   * The ancestor descriptors, which need selector matching, are only checked for candidates
+   * whose other traits could still beat the best score so far.
+   * @param {Object} fingerprint - Fingerprint from create(), or some of its traits
+   * @param {Document|DocumentFragment|Element} root - Node whose descendants are the candidates
+   * @returns {{element: Element, score: number}|null} Best match and its similarity from 0 to 1, or null without candidates
+   */
+  static locate(fingerprint, root) {
+    const hasAncestors = (fingerprint.ancestors ?? []).length > 0;
+    const candidates = Array.from(root.querySelectorAll("*"), (element) => ({
+      element,
+      ...this.#scoreLocal(element, fingerprint),
+    })).sort((a, b) => b.score - a.score);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Every candidate is scored on the same traits
+    const total = candidates[0].weight + (hasAncestors ? WEIGHTS.ancestors : 0);
+    if (total === 0) {
+      return { element: candidates[0].element, score: 1 };
+    }
+    if (!hasAncestors) {
+      return { element: candidates[0].element, score: candidates[0].score / total };
+    }
+
+    let best = null;
+    let bestScore = -1;
+    for (const { element, score } of candidates) {
+      if (score + WEIGHTS.ancestors <= bestScore) {
+        break;
+      }
+      const fullScore = score + this.#scoreAncestors(element, fingerprint) * WEIGHTS.ancestors;
+      if (fullScore > bestScore) {
+        best = element;
+        bestScore = fullScore;
+      }
+    }
+
+    return { element: best, score: bestScore / total };
+  }
+
+  /**
+   * Scores the element's own traits.
+   * @private
+   * @param {Element} element - Candidate element
+   * @param {Object} fingerprint - Fingerprint or some of its traits
+   * @returns {{score: number, weight: number}} Weighted sum of the trait scores, and the sum of their weights
+   */
+  static #scoreLocal(element, fingerprint) {
+    let score = 0;
+    let weight = 0;
+    const add = (trait, value) => {
+      score += value * WEIGHTS[trait];
+      weight += WEIGHTS[trait];
+    };
+
+    if (fingerprint.tag !== undefined) {
+      add("tag", element.localName === fingerprint.tag ? 1 : 0);
+    }
+    if (fingerprint.id !== undefined && fingerprint.id !== null) {
+      add("id", element.id === fingerprint.id ? 1 : 0);
+    }
+    if (fingerprint.classes !== undefined) {
+      add("classes", this.#overlap(fingerprint.classes, Array.from(element.classList)));
+    }
+    if (fingerprint.attributes !== undefined) {
+      const entries = Object.entries(fingerprint.attributes);
+      if (entries.length > 0) {
+        const equal = entries.filter(([name, value]) => element.getAttribute(name) === value);
+        add("attributes", equal.length / entries.length);
+      }
+    }
+    if (fingerprint.text !== undefined) {
+      const text = this.#getText(element);
+      const expected = this.#normalizeText(fingerprint.text);
+      add("text", text === expected ? 1 : this.#overlap(expected.split(" "), text.split(" ")));
+    }
+    if (fingerprint.siblingIndex !== undefined) {
+      add("siblingIndex", 1 / (1 + Math.abs(this.#getSiblingIndex(element) - fingerprint.siblingIndex)));
+    }
+
+    return { score, weight };
+  }
+
+  /**
+   * Scores the element's ancestors against the fingerprint's ancestor descriptors.
+   * @private
+   * @param {Element} element - Candidate element
+   * @param {Object} fingerprint - Fingerprint or some of its traits
+   * @returns {number|null} Share of descriptors matching, weighted by 1 / level, or null without ancestor descriptors
+   */
+  static #scoreAncestors(element, fingerprint) {
+    const descriptors = fingerprint.ancestors ?? [];
+    if (descriptors.length === 0) {
+      return null;
+    }
+
+    const ancestors = [element];
+    let matched = 0;
+    let total = 0;
+    for (const { level, selector } of descriptors) {
+      while (ancestors.length <= level && ancestors[ancestors.length - 1] !== null) {
+        ancestors.push(ancestors[ancestors.length - 1].parentElement);
+      }
+      const ancestor = ancestors[level] ?? null;
+      if (ancestor !== null && ancestor.matches(selector)) {
+        matched += 1 / level;
+      }
+      total += 1 / level;
+    }
+    return matched / total;
+  }
+
+  /**
+   * Returns an element's text, whitespace-normalized and cut to FINGERPRINT_TEXT_MAX_LENGTH.
+   * @private
+   * @param {Element} element - Element
+   * @returns {string} Text
+   */
+  static #getText(element) {
+    return this.#normalizeText(element.textContent ?? "");
+  }
+
+  /**
+   * Normalizes whitespace in a text and cuts it to FINGERPRINT_TEXT_MAX_LENGTH.
+   * @private
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  static #normalizeText(text) {
+    return text.replace(/\s+/g, " ").trim().slice(0, FINGERPRINT_TEXT_MAX_LENGTH);
+  }
+
+  /**
+   * Returns an element's index among the element children of its parent.
+   * @private
+   * @param {Element} element - Element
+   * @returns {number} Zero-based index (0 without a parent)
+   */
+  static #getSiblingIndex(element) {
+    const parent = element.parentElement;
+    return parent === null ? 0 : Array.prototype.indexOf.call(parent.children, element);
+  }
+
+  /**
+   * Measures the overlap of two token lists (Jaccard index).
+   * @private
+   * @param {Array<string>} a - Tokens
+   * @param {Array<string>} b - Tokens
+   * @returns {number} Overlap from 0 to 1 (1 when both are empty)
+   */
+  static #overlap(a, b) {
+    const left = new Set(a.filter((token) => token !== ""));
+    const right = new Set(b.filter((token) => token !== ""));
+    const union = new Set([...left, ...right]);
+    if (union.size === 0) {
+      return 1;
+    }
+    let common = 0;
+    for (const token of left) {
+      if (right.has(token)) {
+        common++;
+      }
+    }
+    return common / union.size;
+  }
+}
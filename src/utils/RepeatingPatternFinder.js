@@ -0,0 +1,168 @@
+import { BlacklistMatcher } from "./BlacklistMatcher.js";
+import { DEFAULT_OPTIONS } from "../config/options.js";
+
+/**
+ * Infers the repeating structure behind a few example elements, e.g. two items picked in a list.
+ * A pattern has a container, a record signature (tag and classes) for the container's children that repeat,
+ * and a path of steps (tag and classes) from a record down to the example within it.
+ * The similar elements are those found along the path in every child of the container matching the record signature.
+ * Classes only count when every example (or record) on the same step has them; ignored classes never count.
+ */
+export class RepeatingPatternFinder {
+  /**
+   * Creates a RepeatingPatternFinder instance.
+   * @param {Object} [options] - Resolved generator options (blacklists and volatile)
+   */
+  constructor(options = DEFAULT_OPTIONS) {
+    this.options = options;
+  }
+
+  /**
+   * Finds the repeating pattern of the examples and all elements following it.
+   * Several examples must sit in different children (records) of their closest common ancestor, at the same path.
+   * A single example's record is its closest ancestor-or-self that has a sibling with the same signature.
+   * @param {Array<HTMLElement|SVGElement>} examples - Example elements
+   * @returns {{container: Element, records: Array<Element>, elements: Array<Element>}} The pattern's container,
+   *   its matching records and the similar elements, in document order
+   * @throws {Error} If the examples do not share a repeating structure
+   */
+  find(examples) {
+    const records =
+      examples.length === 1
+        ? [this.#findRepeatingAncestor(examples[0])]
+        : this.#getRecords(examples);
+    if (records.includes(null)) {
+      throw new Error("The examples do not share a repeating structure");
+    }
+
+    const container = records[0].parentElement;
+    const recordStep = this.#getStep(records);
+    const path = this.#getPath(examples, records);
+    if (recordStep === null || path === null) {
+      throw new Error("The examples do not share a repeating structure");
+    }
+
+    const matchingRecords = Array.from(container.children).filter((record) =>
+      this.#matchesStep(record, recordStep)
+    );
+
+    let elements = matchingRecords;
+    for (const step of path) {
+      elements = elements.flatMap((element) =>
+        Array.from(element.children).filter((child) => this.#matchesStep(child, step))
+      );
+    }
+
+    return { container, records: matchingRecords, elements };
+  }
+
+  /**
+   * Returns the children of the examples' closest common ancestor that contain them.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} examples - Example elements (at least two)
+   * @returns {Array<Element|null>} One distinct record per example, or [null] if two examples share a record
+   */
+  #getRecords(examples) {
+    let ancestor = examples[0].parentElement;
+    while (ancestor !== null && !examples.every((example) => ancestor.contains(example))) {
+      ancestor = ancestor.parentElement;
+    }
+    if (ancestor === null || examples.includes(ancestor)) {
+      return [null];
+    }
+
+    const records = examples.map((example) => {
+      let record = example;
+      while (record.parentElement !== ancestor) {
+        record = record.parentElement;
+      }
+      return record;
+    });
+    return new Set(records).size === records.length ? records : [null];
+  }
+
+  /**
+   * Finds an element's closest ancestor-or-self with a sibling of the same signature.
+   * @private
+   * @param {HTMLElement|SVGElement} element - Example element
+   * @returns {Element|null} The record, or null if no ancestor repeats
+   */
+  #findRepeatingAncestor(element) {
+    for (let node = element; node.parentElement !== null; node = node.parentElement) {
+      const step = this.#getStep([node]);
+      const hasSimilarSibling = Array.from(node.parentElement.children).some(
+        (sibling) => sibling !== node && this.#matchesStep(sibling, step)
+      );
+      if (hasSimilarSibling) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the steps from the records down to the examples, one per level below the record.
+   * @private
+   * @param {Array<HTMLElement|SVGElement>} examples - Example elements
+   * @param {Array<Element>} records - The record of every example
+   * @returns {Array<{tag: string, classes: Array<string>}>|null} Steps, or null if the examples sit at different paths
+   */
+  #getPath(examples, records) {
+    const chains = examples.map((example, i) => {
+      const chain = [];
+      for (let node = example; node !== records[i]; node = node.parentElement) {
+        chain.unshift(node);
+      }
+      return chain;
+    });
+
+    if (chains.some((chain) => chain.length !== chains[0].length)) {
+      return null;
+    }
+
+    const path = [];
+    for (let level = 0; level < chains[0].length; level++) {
+      const step = this.#getStep(chains.map((chain) => chain[level]));
+      if (step === null) {
+        return null;
+      }
+      path.push(step);
+    }
+    return path;
+  }
+
+  /**
+   * Returns the signature shared by elements: their tag and common classes.
+   * @private
+   * @param {Array<Element>} elements - Elements on the same step
+   * @returns {{tag: string, classes: Array<string>}|null} Signature, or null if the tags differ
+   */
+  #getStep(elements) {
+    const tag = elements[0].localName;
+    if (elements.some((element) => element.localName !== tag)) {
+      return null;
+    }
+
+    const { blacklist, volatile } = this.options;
+    const classes = Array.from(elements[0].classList).filter(
+      (currentClass) =>
+        !BlacklistMatcher.isIgnored(currentClass, blacklist.classes, volatile) &&
+        elements.every((element) => element.classList.contains(currentClass))
+    );
+    return { tag, classes };
+  }
+
+  /**
+   * Checks whether an element has a signature's tag and classes.
+   * @private
+   * @param {Element} element - Element to check
+   * @param {{tag: string, classes: Array<string>}} step - Signature
+   * @returns {boolean} True if the element matches the signature
+   */
+  #matchesStep(element, step) {
+    return (
+      element.localName === step.tag &&
+      step.classes.every((currentClass) => element.classList.contains(currentClass))
+    );
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * Parser for the CSS selector subset produced by the generators.
+ * Supports compound selectors (tag, *, #id, .class, [attr], [attr op "value"], :pseudo and :pseudo(argument))
+ * joined by the descendant, child (>), subsequent-sibling (~) and next-sibling (+) combinators.
+ * Selector lists (",") and pseudo-elements are not supported.
+ *
+ * A parsed selector is an array of parts: {combinator, compound}, where combinator is the combinator
+ * to the left of the compound (null for the first part of a non-relative selector) and compound is
+ * an array of simple selectors:
+ *   {type: "tag", name} | {type: "universal"} | {type: "id", name} | {type: "class", name} |
+ *   {type: "attr", name, operator, value} | {type: "pseudo", name, argument}
+ * Names and values are unescaped; pseudo arguments are kept as raw selector text.
+ */
+export class SelectorParser {
+  /**
+   * Parses a complex selector.
+   * @param {string} selector - Selector text
+   * @param {boolean} [relative] - Allow a leading combinator, as in :has() arguments (defaults to descendant)
+   * @returns {Array<{combinator: string|null, compound: Array<Object>}>} Parsed parts
+   * @throws {Error} If the selector is not supported
+   */
+  static parse(selector, relative = false) {
+    const state = { selector, index: 0 };
+    const parts = [];
+
+    this.#skipWhitespace(state);
+
+    let combinator = null;
+    if (relative) {
+      combinator = " ";
+      if (">~+".includes(this.#peek(state)) && this.#peek(state) !== "") {
+        combinator = this.#next(state);
+        this.#skipWhitespace(state);
+      }
+    }
+
+    for (;;) {
+      const compound = this.#parseCompound(state);
+      parts.push({ combinator, compound });
+
+      const whitespace = this.#skipWhitespace(state);
+      const char = this.#peek(state);
+
+      if (char === "") {
+        break;
+      }
+
+      if (char === ">" || char === "~" || char === "+") {
+        combinator = this.#next(state);
+        this.#skipWhitespace(state);
+      } else if (whitespace > 0) {
+        combinator = " ";
+      } else {
+        this.#fail(state, `Unexpected "${char}"`);
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Parses a single compound selector.
+   * @param {string} selector - Compound selector text, e.g. "div.item:first-child"
+   * @returns {Array<Object>} Simple selectors
+   * @throws {Error} If the text is not a single supported compound selector
+   */
+  static parseCompound(selector) {
+    const parts = this.parse(selector);
+    if (parts.length !== 1) {
+      throw new Error(`Not a compound selector: "${selector}"`);
+    }
+    return parts[0].compound;
+  }
+
+  /**
+   * Unquotes a CSS string, e.g. the argument of :text-is("...").
+   * @param {string} text - Quoted CSS string
+   * @returns {string} Unescaped string content
+   * @throws {Error} If the text is not a single quoted string
+   */
+  static unquote(text) {
+    const state = { selector: text.trim(), index: 0 };
+    const quote = this.#peek(state);
+    if (quote !== '"' && quote !== "'") {
+      this.#fail(state, "Expected a string");
+    }
+    const value = this.#parseString(state);
+    if (state.index !== state.selector.length) {
+      this.#fail(state, "Unexpected text after string");
+    }
+    return value;
+  }
+
+  /**
+   * Parses simple selectors until a combinator or the end of the input.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {Array<Object>} Simple selectors
+   */
+  static #parseCompound(state) {
+    const compound = [];
+
+    for (;;) {
+      const char = this.#peek(state);
+
+      if (char === "" || /[\s>~+,)]/.test(char)) {
+        break;
+      }
+
+      if (char === "*") {
+        this.#next(state);
+        compound.push({ type: "universal" });
+      } else if (char === "#") {
+        this.#next(state);
+        compound.push({ type: "id", name: this.#parseIdentifier(state) });
+      } else if (char === ".") {
+        this.#next(state);
+        compound.push({ type: "class", name: this.#parseIdentifier(state) });
+      } else if (char === "[") {
+        compound.push(this.#parseAttribute(state));
+      } else if (char === ":") {
+        compound.push(this.#parsePseudo(state));
+      } else if (this.#isIdentifierStart(state)) {
+        compound.push({ type: "tag", name: this.#parseIdentifier(state) });
+      } else {
+        this.#fail(state, `Unexpected "${char}"`);
+      }
+    }
+
+    if (compound.length === 0) {
+      this.#fail(state, "Expected a selector");
+    }
+
+    return compound;
+  }
+
+  /**
+   * Parses an attribute selector, e.g. [name], [name="value"], [name^=value].
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {{type: string, name: string, operator: string|null, value: string|null}} Attribute selector
+   */
+  static #parseAttribute(state) {
+    this.#next(state); // [
+    this.#skipWhitespace(state);
+    const name = this.#parseIdentifier(state);
+    this.#skipWhitespace(state);
+
+    let operator = null;
+    let value = null;
+
+    if (this.#peek(state) !== "]") {
+      const match = /^[~|^$*]?=/.exec(state.selector.slice(state.index));
+      if (match === null) {
+        this.#fail(state, "Expected an attribute operator");
+      }
+      operator = match[0];
+      state.index += operator.length;
+      this.#skipWhitespace(state);
+
+      const quote = this.#peek(state);
+      value =
+        quote === '"' || quote === "'"
+          ? this.#parseString(state)
+          : this.#parseIdentifier(state);
+      this.#skipWhitespace(state);
+    }
+
+    if (this.#next(state) !== "]") {
+      this.#fail(state, 'Expected "]"');
+    }
+
+    return { type: "attr", name, operator, value };
+  }
+
+  /**
+   * Parses a pseudo-class, keeping its argument as raw text.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {{type: string, name: string, argument: string|null}} Pseudo-class selector
+   */
+  static #parsePseudo(state) {
+    this.#next(state); // :
+    if (this.#peek(state) === ":") {
+      this.#fail(state, "Pseudo-elements are not supported");
+    }
+
+    const name = this.#parseIdentifier(state).toLowerCase();
+    if (this.#peek(state) !== "(") {
+      return { type: "pseudo", name, argument: null };
+    }
+
+    this.#next(state); // (
+    const start = state.index;
+    let depth = 1;
+    let quote = null;
+
+    while (depth > 0) {
+      const char = this.#next(state);
+      if (char === "") {
+        this.#fail(state, 'Expected ")"');
+      } else if (char === "\\") {
+        this.#next(state);
+      } else if (quote !== null) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")") {
+        depth--;
+      }
+    }
+
+    const argument = state.selector.slice(start, state.index - 1).trim();
+    return { type: "pseudo", name, argument };
+  }
+
+  /**
+   * Parses and unescapes a CSS identifier.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {string} Unescaped identifier
+   */
+  static #parseIdentifier(state) {
+    let result = "";
+
+    for (;;) {
+      const char = this.#peek(state);
+      if (char === "\\") {
+        result += this.#parseEscape(state);
+      } else if (char !== "" && /[\w-]/.test(char)) {
+        result += this.#next(state);
+      } else if (char !== "" && char.codePointAt(0) >= 0x80) {
+        result += this.#next(state);
+      } else {
+        break;
+      }
+    }
+
+    if (result === "") {
+      this.#fail(state, "Expected an identifier");
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses and unescapes a quoted CSS string.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {string} Unescaped string content
+   */
+  static #parseString(state) {
+    const quote = this.#next(state);
+    let result = "";
+
+    for (;;) {
+      const char = this.#peek(state);
+      if (char === "") {
+        this.#fail(state, "Unterminated string");
+      } else if (char === quote) {
+        this.#next(state);
+        return result;
+      } else if (char === "\\") {
+        result += this.#parseEscape(state);
+      } else {
+        result += this.#next(state);
+      }
+    }
+  }
+
+  /**
+   * Parses a CSS escape sequence (backslash followed by 1-6 hex digits or a single character).
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {string} Escaped character
+   */
+  static #parseEscape(state) {
+    this.#next(state); // backslash
+    const hex = /^[0-9a-fA-F]{1,6}/.exec(state.selector.slice(state.index));
+
+    if (hex !== null) {
+      state.index += hex[0].length;
+      // A single whitespace character terminates a hex escape
+      if (/\s/.test(this.#peek(state))) {
+        this.#next(state);
+      }
+      const codePoint = parseInt(hex[0], 16);
+      return codePoint === 0 || codePoint > 0x10ffff
+        ? "\uFFFD"
+        : String.fromCodePoint(codePoint);
+    }
+
+    const char = this.#next(state);
+    // An escaped newline in a string is a line continuation
+    return char === "\n" ? "" : char;
+  }
+
+  /**
+   * Checks whether an identifier starts at the current position.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {boolean} True if an identifier (e.g. a tag name) starts here
+   */
+  static #isIdentifierStart(state) {
+    const char = this.#peek(state);
+    return char === "\\" || /[A-Za-z_-]/.test(char) || char.codePointAt(0) >= 0x80;
+  }
+
+  /**
+   * Skips whitespace.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {number} Number of skipped characters
+   */
+  static #skipWhitespace(state) {
+    const start = state.index;
+    while (/\s/.test(this.#peek(state)) && this.#peek(state) !== "") {
+      state.index++;
+    }
+    return state.index - start;
+  }
+
+  /**
+   * Returns the current character without consuming it.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {string} Current character, or "" at the end of the input
+   */
+  static #peek(state) {
+    return state.selector.charAt(state.index);
+  }
+
+  /**
+   * Consumes and returns the current character.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @returns {string} Current character, or "" at the end of the input
+   */
+  static #next(state) {
+    const char = state.selector.charAt(state.index);
+    if (char !== "") {
+      state.index++;
+    }
+    return char;
+  }
+
+  /**
+   * Throws a parse error with position information.
+   * @private
+   * @param {{selector: string, index: number}} state - Parser state
+   * @param {string} message - Error message
+   * @throws {Error} Always
+   */
+  static #fail(state, message) {
+    throw new Error(
+      `${message} at position ${state.index} in selector "${state.selector}"`
+    );
+  }
+}
@@ -0,0 +1,60 @@
+import { ASYNC_SLICE_MS } from "../config/constants.js";
+
+/**
+ * Runs steps: generator functions that yield (undefined) wherever they can be suspended and return their result.
+ * Long computations are written as steps once and run either synchronously, or asynchronously in time slices
+ * so the event loop gets a turn between them.
+ */
+export class StepRunner {
+  /**
+   * Runs steps to completion synchronously.
+   * @param {Generator} steps - Steps to run
+   * @returns {*} Result of the steps
+   */
+  static run(steps) {
+    let state = steps.next();
+    while (!state.done) {
+      state = steps.next();
+    }
+    return state.value;
+  }
+
+  /**
+   * Runs steps asynchronously, yielding to the event loop whenever a slice of ASYNC_SLICE_MS has been used.
+   * The signal is checked before the first step and after every yield; when it is aborted, the steps are
+   * closed (running their finally blocks) and the promise rejects with the signal's reason.
+   * @param {Generator} steps - Steps to run
+   * @param {AbortSignal|null} [signal] - Signal to cancel the run
+   * @returns {Promise<*>} Result of the steps
+   */
+  static async runAsync(steps, signal = null) {
+    try {
+      signal?.throwIfAborted();
+      let sliceStart = performance.now();
+      let state = steps.next();
+      while (!state.done) {
+        if (performance.now() - sliceStart >= ASYNC_SLICE_MS) {
+          await StepRunner.#yieldToEventLoop();
+          signal?.throwIfAborted();
+          sliceStart = performance.now();
+        }
+        state = steps.next();
+      }
+      return state.value;
+    } finally {
+      steps.return();
+    }
+  }
+
+  /**
+   * Lets the event loop run pending tasks, with scheduler.yield() where available.
+   * @private
+   * @returns {Promise<void>} Resolves when the run may continue
+   */
+  static #yieldToEventLoop() {
+    if (typeof globalThis.scheduler?.yield === "function") {
+      return globalThis.scheduler.yield();
+    }
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
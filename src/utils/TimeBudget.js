@@ -0,0 +1,35 @@
+/**
+ * Time budget shared by the generators and optimizers of a pipeline (timeBudgetMs option).
+ * The budget is restarted for every call; once it runs out, generators stop traversing and
+ * optimizers return the best selector set found so far, and the result is reported as partial.
+ */
+export class TimeBudget {
+  /**
+   * Creates a TimeBudget instance.
+   * @param {number|null} [timeBudgetMs] - Milliseconds per call, null for no limit
+   */
+  constructor(timeBudgetMs = null) {
+    this.timeBudgetMs = timeBudgetMs;
+    this.start();
+  }
+
+  /**
+   * Restarts the budget.
+   */
+  start() {
+    this.deadline =
+      this.timeBudgetMs === null ? Infinity : performance.now() + this.timeBudgetMs;
+    this.exhausted = false;
+  }
+
+  /**
+   * Checks whether the budget has run out, and remembers it if so.
+   * @returns {boolean} True once the deadline has passed
+   */
+  isExhausted() {
+    if (!this.exhausted && performance.now() > this.deadline) {
+      this.exhausted = true;
+    }
+    return this.exhausted;
+  }
+}
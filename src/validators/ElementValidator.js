@@ -1,20 +1,29 @@
+import { HTML_NAMESPACE, SVG_NAMESPACE } from "../config/constants.js";
+
 /**
- * Validates that elements are HTMLElement or SVGElement instances.
+ * Validates that elements are HTML or SVG elements.
+ * Checks the node type and namespace rather than the HTMLElement and SVGElement constructors, so elements
+ * from other windows (e.g. iframes) and from other DOM implementations (e.g. jsdom or linkedom in Node.js) pass too.
  */
 export class ElementValidator {
   /**
-   * Checks if an element is valid (HTMLElement or SVGElement).
+   * Checks if an element is valid (an HTML or SVG element).
    * @param {*} element - The element to validate
    * @returns {boolean} True if valid, false otherwise
    */
   static isValid(element) {
-    return element instanceof HTMLElement || element instanceof SVGElement;
+    return (
+      element !== null &&
+      typeof element === "object" &&
+      element.nodeType === 1 && // Node.ELEMENT_NODE
+      (element.namespaceURI === HTML_NAMESPACE || element.namespaceURI === SVG_NAMESPACE)
+    );
   }
 
   /**
    * Asserts that an element is valid, throws error if not.
    * @param {*} element - The element to validate
-   * @throws {Error} If element is not HTMLElement or SVGElement
+   * @throws {Error} If element is not an HTML or SVG element
    */
   static assertValid(element) {
     if (!this.isValid(element)) {
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SelectorGenerator } from '../src/SelectorGenerator.js';
+import { createDocument } from './helpers/dom.js';
+
+/**
+ * Asserts that a selector matches exactly the given elements in their document.
+ * @param {string} selector - CSS selector
+ * @param {Array<Element>} elements - Expected matches
+ */
+function assertMatchesExactly(selector, elements) {
+  const matches = Array.from(elements[0].ownerDocument.querySelectorAll(selector));
+  assert.deepEqual(matches, elements, `${selector} should match exactly the elements`);
+}
+
+describe('SelectorGenerator', () => {
+  describe('getSelector', () => {
+    it('uses a unique ID', () => {
+      const document = createDocument('<div><button id="save">Save</button><button>Cancel</button></div>');
+      const button = document.querySelector('#save');
+
+      assert.equal(new SelectorGenerator().getSelector(button), 'button#save');
+    });
+
+    it('generates a selector matching exactly several elements', () => {
+      const document = createDocument(
+        '<ul><li class="item">1</li><li class="item">2</li><li>3</li></ul>'
+      );
+      const items = Array.from(document.querySelectorAll('.item'));
+
+      assertMatchesExactly(new SelectorGenerator().getSelector(items), items);
+    });
+
+    it('throws for invalid elements', () => {
+      assert.throws(() => new SelectorGenerator().getSelector(null), /Not an SVG\/HTMLElement/);
+    });
+
+    it('throws for an empty element list', () => {
+      assert.throws(() => new SelectorGenerator().getSelector([]), /At least one element is required/);
+    });
+
+    it('returns a best-effort selector, flagged not exact, for an element outside its document', () => {
+      const document = createDocument('<p>1</p>');
+      const detached = document.createElement('div');
+
+      const { selector, partial, exact } = new SelectorGenerator().getSelector(detached, { reportPartial: true });
+
+      assert.equal(typeof selector, 'string');
+      assert.equal(partial, false);
+      assert.equal(exact, false);
+    });
+  });
+
+  describe('time budget', () => {
+    const ROWS = Array.from(
+      { length: 300 },
+      (_, i) => `<div class="row r${i % 7}"><span class="cell">${i}</span><span id="s${i}">${i}</span></div>`
+    ).join('');
+
+    it('flags results cut short by the budget', () => {
+      const document = createDocument(ROWS);
+      const cell = document.querySelectorAll('.cell')[150];
+
+      const result = new SelectorGenerator().getSelector(cell, { timeBudgetMs: 1, reportPartial: true });
+
+      assert.equal(result.partial, true);
+      if (result.exact) {
+        assertMatchesExactly(result.selector, [cell]);
+      }
+    });
+
+    it('prefers a unique local candidate once the budget has run out', () => {
+      const document = createDocument(ROWS);
+
+      const result = new SelectorGenerator().getSelector(document.querySelector('#s150'), {
+        timeBudgetMs: 1,
+        reportPartial: true,
+      });
+
+      assert.deepEqual(result, { selector: 'span#s150', partial: true, exact: true });
+    });
+  });
+
+  describe('getSelectorAsync', () => {
+    it('generates the same selector as getSelector', async () => {
+      const document = createDocument('<ul><li class="a">1</li><li class="b">2</li></ul>');
+      const item = document.querySelector('.b');
+      const generator = new SelectorGenerator();
+
+      assert.equal(await generator.getSelectorAsync(item), generator.getSelector(item));
+    });
+
+    it('rejects with an AbortError when the signal aborts during the call', async () => {
+      const document = createDocument(
+        Array.from({ length: 300 }, (_, i) => `<div class="r${i % 7}"><span>${i}</span></div>`).join('')
+      );
+      const span = document.querySelectorAll('span')[150];
+      const controller = new AbortController();
+
+      const promise = new SelectorGenerator().getSelectorAsync(span, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 0);
+
+      await assert.rejects(promise, { name: 'AbortError' });
+    });
+  });
+
+  describe('getSelectors', () => {
+    it('falls back to a best-effort selector, flagged not exact, when nothing matches exactly', () => {
+      const document = createDocument('<p>1</p>');
+      const detached = document.createElement('div');
+
+      const results = new SelectorGenerator().getSelectors(detached);
+
+      assert.equal(results.length, 1);
+      assert.equal(results[0].exact, false);
+    });
+  });
+
+  describe('repair', () => {
+    it('relaxes a broken selector until it matches again', () => {
+      const document = createDocument(
+        '<main id="main"><ul class="list">'
+        + '<li><a class="link" href="/p1">1</a></li>'
+        + '<li><a class="link" href="/p2">2</a></li>'
+        + '<li><a class="link" href="/p3">3</a></li>'
+        + '</ul></main>'
+      );
+
+      const result = new SelectorGenerator().repair('#main > ul.items > li:nth-child(3) > a.link', undefined, {
+        root: document,
+      });
+
+      assert.equal(result.element, document.querySelector('[href="/p3"]'));
+      assert.deepEqual(result.changes, [{ type: 'class', part: 1, selector: '.items' }]);
+      assertMatchesExactly(result.selector, [result.element]);
+    });
+  });
+
+  describe('getSelectorsForAll', () => {
+    const BATCH = '<nav class="menu"><span>x</span><button>A</button><button name="b">B</button></nav>'
+      + '<main><button>C</button><button>D</button></main>';
+
+    it('generates a selector matching only its element for every element', () => {
+      const document = createDocument(BATCH);
+      const buttons = Array.from(document.querySelectorAll('button'));
+
+      const selectors = new SelectorGenerator().getSelectorsForAll(buttons);
+
+      assert.equal(selectors.size, buttons.length);
+      for (const button of buttons) {
+        assertMatchesExactly(selectors.get(button), [button]);
+      }
+    });
+
+    it('does not make reused anchors cheaper than free', () => {
+      const document = createDocument(BATCH);
+      const button = document.querySelector('[name="b"]');
+
+      const selectors = new SelectorGenerator({ optimizer: 'optimal', costs: { anchorReuse: -1000 } })
+        .getSelectorsForAll(document.querySelectorAll('nav button'));
+
+      assert.equal(selectors.get(button), 'button[name="b"]');
+    });
+  });
+});
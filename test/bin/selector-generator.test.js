@@ -0,0 +1,77 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../../bin/selector-generator.js', import.meta.url));
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <ul><li><a href="/p1">One</a></li><li><a href="/p2">Two</a></li></ul>
+  <div><button>Save</button><button>Save</button></div>
+</body></html>`;
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+const run = (args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+describe('selector-generator command', () => {
+  let dir;
+  let page;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'selector-generator-'));
+    page = join(dir, 'page.html');
+    await writeFile(page, PAGE);
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it('generates a selector per interactive target', async () => {
+    const { code, stdout } = await run([page, '--all-interactive', '--json']);
+
+    assert.equal(code, 0);
+    const results = JSON.parse(stdout);
+    assert.equal(results.length, 4);
+    assert.ok(results.every((result) => result.matchCount === 1));
+  });
+
+  it('reports targets without a unique selector and carries on', async () => {
+    const options = JSON.stringify({ generators: { sibling: false, parent: false } });
+    const { code, stdout, stderr } = await run([page, '--all-interactive', '--options', options]);
+
+    assert.equal(code, 1);
+    assert.equal(stdout.trim().split('\n').length, 2);
+    assert.match(stdout, /a\[href="\/p1"\]/);
+    assert.match(stderr, /<button> #1: No unique selector found/);
+    assert.match(stderr, /<button> #2: No unique selector found/);
+    assert.match(stderr, /2 of 4 targets got no selector/);
+  });
+
+  it('reports broken stored selectors', async () => {
+    const selectors = join(dir, 'selectors.txt');
+    await writeFile(selectors, 'a[href="/p1"]\na[href="/p3"]\n');
+
+    const { code, stdout } = await run(['--verify', selectors, page]);
+
+    assert.equal(code, 1);
+    assert.match(stdout, /^ok {8}a\[href="\/p1"\]/m);
+    assert.match(stdout, /^missing {3}a\[href="\/p3"\]/m);
+  });
+
+  it('exits with 2 on usage errors', async () => {
+    const { code, stderr } = await run([page]);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /Expected exactly one of --selector, --xpath and --all-interactive/);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPresets, registerPreset } from '../../src/config/presets.js';
+import { resolveOptions } from '../../src/config/options.js';
+import { BlacklistMatcher } from '../../src/utils/BlacklistMatcher.js';
+import { SelectorGenerator } from '../../src/SelectorGenerator.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Resolves options and expands their presets.
+ * @param {Object} [overrides] - Option overrides
+ * @returns {Object} Options with the preset rules applied
+ */
+const expand = (overrides) => applyPresets(resolveOptions(overrides));
+
+describe('presets', () => {
+  it('keeps the Angular patterns when other presets are listed', () => {
+    const { blacklist } = expand({ presets: ['vue', 'tailwind'] });
+
+    assert.ok(BlacklistMatcher.matches('ng-star-inserted', blacklist.classes));
+    assert.ok(BlacklistMatcher.matches('_ngcontent-c12', blacklist.attributes));
+    assert.ok(BlacklistMatcher.matches('data-v-7ba5bd90', blacklist.attributes));
+  });
+
+  it('restores the Angular patterns when the blacklist option replaces the defaults', () => {
+    const { blacklist } = expand({ blacklist: { classes: [], attributes: [] }, presets: ['angular'] });
+
+    assert.ok(BlacklistMatcher.matches('ng-touched', blacklist.classes));
+    assert.ok(BlacklistMatcher.matches('_nghost-a1', blacklist.attributes));
+  });
+
+  it('drops only hashed Emotion classes with mui', () => {
+    const { blacklist } = expand({ presets: ['mui'] });
+
+    assert.ok(BlacklistMatcher.matches('css-1x2y3z', blacklist.classes));
+    assert.ok(BlacklistMatcher.matches('css-1d3bbye-MuiButton-root', blacklist.classes));
+    assert.ok(!BlacklistMatcher.matches('css-grid', blacklist.classes));
+    assert.ok(!BlacklistMatcher.matches('css-loader', blacklist.classes));
+  });
+
+  it('keeps static Bootstrap classes such as fade', () => {
+    const { blacklist } = expand({ presets: ['bootstrap'] });
+
+    assert.ok(BlacklistMatcher.matches('show', blacklist.classes));
+    assert.ok(!BlacklistMatcher.matches('fade', blacklist.classes));
+  });
+
+  it('adds the cost adjustments of registered presets', () => {
+    registerPreset('test-acme', {
+      costAdjustments: [{ type: 'class', pattern: 'acme-u-*', cost: 20 }],
+    });
+
+    const { costAdjustments } = expand({ presets: ['test-acme'] });
+
+    assert.deepEqual(costAdjustments, [{ type: 'class', pattern: 'acme-u-*', cost: 20 }]);
+  });
+
+  it('rejects unknown presets', () => {
+    assert.throws(() => resolveOptions({ presets: ['nope'] }), /Unknown preset "nope"/);
+  });
+
+  it('leaves blacklisted classes out of selectors', () => {
+    const document = createDocument(
+      '<div><button class="ng-star-inserted save">Save</button><button class="ng-star-inserted">Cancel</button></div>'
+    );
+    const button = document.querySelector('.save');
+
+    const selector = new SelectorGenerator({ presets: ['vue'] }).getSelector(button);
+
+    assert.ok(!selector.includes('ng-'), selector);
+  });
+});
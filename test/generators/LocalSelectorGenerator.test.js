@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalSelectorGenerator } from '../../src/generators/LocalSelectorGenerator.js';
+import { resolveOptions } from '../../src/config/options.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Generates the local candidates of an element and returns the one with the given selector.
+ * @param {Element} element - The element
+ * @param {Object} overrides - Option overrides
+ * @param {string} selector - Selector of the candidate
+ * @returns {SelectorDescriptor|undefined} The candidate
+ */
+const findCandidate = (element, overrides, selector) =>
+  new LocalSelectorGenerator(resolveOptions(overrides))
+    .generate([element])
+    .find((descriptor) => descriptor.selector === selector);
+
+describe('LocalSelectorGenerator', () => {
+  it('adds the cost adjustments of the matching rules', () => {
+    const document = createDocument('<div class="acme-card">1</div>');
+    const element = document.querySelector('div');
+
+    const plain = findCandidate(element, {}, '.acme-card');
+    const adjusted = findCandidate(element, { costAdjustments: [{ type: 'class', pattern: 'acme-*', cost: 20 }] }, '.acme-card');
+
+    assert.equal(adjusted.cost, plain.cost + 20);
+  });
+
+  it('never adjusts a cost below 0', () => {
+    const document = createDocument('<div class="acme-card">1</div>');
+    const element = document.querySelector('div');
+
+    const adjusted = findCandidate(element, { costAdjustments: [{ type: 'class', pattern: 'acme-*', cost: -1000 }] }, '.acme-card');
+
+    assert.equal(adjusted.cost, 0);
+  });
+});
@@ -0,0 +1,11 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Creates a jsdom document for the tests.
+ * The library takes its document from the elements it is given, so no globals are set.
+ * @param {string} body - HTML of the body
+ * @returns {Document} The document
+ */
+export function createDocument(body) {
+  return new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`).window.document;
+}
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BottomUpSelectorOptimizer } from '../../src/optimizers/BottomUpSelectorOptimizer.js';
+import { MatchSetService } from '../../src/services/MatchSetService.js';
+import { DOMService } from '../../src/services/DOMService.js';
+import { SelectorBuilder } from '../../src/builders/SelectorBuilder.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Creates a bottom-up optimizer for a document.
+ * @param {Document} document - Query root
+ * @returns {BottomUpSelectorOptimizer} The optimizer
+ */
+function createOptimizer(document) {
+  const selectorBuilder = new SelectorBuilder();
+  return new BottomUpSelectorOptimizer(new MatchSetService(new DOMService(document), selectorBuilder), selectorBuilder);
+}
+
+const em = { cost: 1, level: 0, type: 'tag', selector: 'em' };
+const second = { cost: 10, level: 0, type: 'class', selector: '.second' };
+
+describe('BottomUpSelectorOptimizer', () => {
+  it('adds the descriptors that narrow the matches down, cheapest first', () => {
+    const document = createDocument('<p><em>1</em><em class="second">2</em></p>');
+    const target = document.querySelector('.second');
+
+    assert.deepEqual(createOptimizer(document).findBest([target], [second, em]), [em, second]);
+  });
+
+  it('leaves the order of the pool unchanged', () => {
+    const document = createDocument('<p><em>1</em><em class="second">2</em></p>');
+    const target = document.querySelector('.second');
+
+    const pool = [second, em];
+    createOptimizer(document).findBest([target], pool);
+
+    assert.deepEqual(pool, [second, em]);
+  });
+});
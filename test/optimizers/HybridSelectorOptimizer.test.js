@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HybridSelectorOptimizer } from '../../src/optimizers/HybridSelectorOptimizer.js';
+import { BottomUpSelectorOptimizer } from '../../src/optimizers/BottomUpSelectorOptimizer.js';
+import { TopDownSelectorOptimizer } from '../../src/optimizers/TopDownSelectorOptimizer.js';
+import { MatchSetService } from '../../src/services/MatchSetService.js';
+import { DOMService } from '../../src/services/DOMService.js';
+import { SelectorBuilder } from '../../src/builders/SelectorBuilder.js';
+import { DEFAULT_OPTIONS } from '../../src/config/options.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Creates a hybrid optimizer for a document, running the bottom-up optimizer as its only stage.
+ * @param {Document} document - Query root
+ * @returns {HybridSelectorOptimizer} The optimizer
+ */
+function createOptimizer(document) {
+  const selectorBuilder = new SelectorBuilder();
+  const matchService = new MatchSetService(new DOMService(document), selectorBuilder, { cached: true });
+  const optimizers = {
+    'bottom-up': new BottomUpSelectorOptimizer(matchService, selectorBuilder),
+    'top-down': new TopDownSelectorOptimizer(matchService, selectorBuilder),
+  };
+  const options = { ...DEFAULT_OPTIONS, hybrid: { stages: ['bottom-up'], prune: true } };
+  return new HybridSelectorOptimizer(optimizers, matchService, selectorBuilder, options);
+}
+
+const em = { cost: 1, level: 0, type: 'tag', selector: 'em' };
+const second = { cost: 1, level: 0, type: 'class', selector: '.second' };
+
+describe('HybridSelectorOptimizer', () => {
+  it('keeps the target tag when the stage result does not need it', () => {
+    const document = createDocument('<p><em>1</em><em class="second">2</em></p>');
+    const target = document.querySelector('.second');
+
+    const metrics = [];
+    const result = createOptimizer(document).findBest([target], [second, em], metrics);
+
+    assert.equal(metrics[0].selector, '.second');
+    assert.deepEqual(result, [em, second]);
+  });
+});
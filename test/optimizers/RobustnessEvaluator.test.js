@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobustnessEvaluator } from '../../src/optimizers/RobustnessEvaluator.js';
+import { DOMService } from '../../src/services/DOMService.js';
+import { SelectorBuilder } from '../../src/builders/SelectorBuilder.js';
+import { SelectorGenerator } from '../../src/SelectorGenerator.js';
+import { resolveOptions } from '../../src/config/options.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Creates an evaluator for a document with the given perturbations.
+ * @param {Document} document - Query root
+ * @param {Array<string>} perturbations - Perturbation names
+ * @returns {RobustnessEvaluator} The evaluator
+ */
+function createEvaluator(document, perturbations) {
+  return new RobustnessEvaluator(
+    new DOMService(document),
+    new SelectorBuilder(),
+    resolveOptions({ robustness: { enabled: true, perturbations } })
+  );
+}
+
+const tag = (selector) => ({ cost: 1, level: 0, type: 'tag', selector });
+const pseudo = (selector) => ({ cost: 100, level: 0, type: 'pseudo', selector });
+const className = (selector) => ({ cost: 1, level: 0, type: 'class', selector });
+
+describe('RobustnessEvaluator', () => {
+  it('scores positional candidates below stable ones', () => {
+    const document = createDocument('<ul><li>1</li><li id="x">2</li><li>3</li></ul>');
+    const target = document.querySelector('#x');
+
+    const [, nthChild, id] = createEvaluator(document, ['insertBefore']).evaluate(
+      [target],
+      [tag('li'), pseudo(':nth-child(2)'), { cost: 1, level: 0, type: 'id', selector: '#x' }]
+    );
+
+    assert.equal(nthChild.robustness, 0);
+    assert.ok(nthChild.cost > 100);
+    assert.equal(id.robustness, 1);
+    assert.equal(id.cost, 1);
+  });
+
+  it('breaks selectors relying on the last class with removeClass', () => {
+    const document = createDocument('<nav class="menu"><a class="link active">1</a><a class="link">2</a></nav>');
+    const target = document.querySelector('.active');
+
+    const [, active, link] = createEvaluator(document, ['removeClass']).evaluate(
+      [target],
+      [tag('a'), className('.active'), className('.link')]
+    );
+
+    assert.equal(active.robustness, 0);
+    assert.equal(link.robustness, 1);
+  });
+
+  it('skips the perturbations that would give the document a second root element', () => {
+    const document = createDocument('<p>text</p>');
+    const root = document.documentElement;
+
+    const [html, firstChild] = createEvaluator(document, ['insertBefore', 'insertAfter', 'wrap']).evaluate(
+      [root],
+      [tag('html'), pseudo(':first-child')]
+    );
+
+    assert.equal(html.robustness, 1);
+    assert.equal(firstChild.robustness, 1);
+  });
+
+  it('lets SelectorGenerator select the root element with robustness enabled', () => {
+    const document = createDocument('<p>text</p>');
+
+    const selector = new SelectorGenerator().getSelector(document.documentElement, {
+      robustness: { enabled: true },
+    });
+
+    assert.deepEqual(Array.from(document.querySelectorAll(selector)), [document.documentElement]);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TopDownSelectorOptimizer } from '../../src/optimizers/TopDownSelectorOptimizer.js';
+import { MatchSetService } from '../../src/services/MatchSetService.js';
+import { DOMService } from '../../src/services/DOMService.js';
+import { SelectorBuilder } from '../../src/builders/SelectorBuilder.js';
+import { DebugOptimizer } from '../../src/optimizers/DebugOptimizer.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Creates a top-down optimizer for a document, with the match-set cache.
+ * @param {Document} document - Query root
+ * @param {Array<string>} [queries] - Receives the selectors queried in the document
+ * @returns {TopDownSelectorOptimizer} The optimizer
+ */
+function createOptimizer(document, queries = []) {
+  const domService = new DOMService(document);
+  const querySelectorAll = domService.querySelectorAll.bind(domService);
+  domService.querySelectorAll = (selector) => {
+    queries.push(selector);
+    return querySelectorAll(selector);
+  };
+  const selectorBuilder = new SelectorBuilder();
+  return new TopDownSelectorOptimizer(
+    new MatchSetService(domService, selectorBuilder, { cached: true }),
+    selectorBuilder
+  );
+}
+
+const li = { cost: 1, level: 0, type: 'tag', selector: 'li' };
+const active = { cost: 2, level: 0, type: 'class', selector: '.active' };
+const firstChild = { cost: 100, level: 0, type: 'pseudo', selector: ':first-child' };
+
+describe('TopDownSelectorOptimizer', () => {
+  it('removes the most expensive descriptors that are not needed', () => {
+    const document = createDocument('<ul><li class="active">1</li><li>2</li></ul>');
+    const target = document.querySelector('.active');
+
+    assert.deepEqual(createOptimizer(document).findBest([target], [li, active, firstChild]), [li, active]);
+  });
+
+  it('queries the initial descriptors one step at a time', () => {
+    const document = createDocument('<ul><li class="active">1</li><li>2</li></ul>');
+    const target = document.querySelector('.active');
+
+    const queries = [];
+    const steps = createOptimizer(document, queries).findBestSteps([target], [li, active, firstChild]);
+    for (let i = 0; i < 3; i++) {
+      steps.next();
+      assert.equal(queries.length, i, 'every step should query at most one descriptor');
+    }
+  });
+
+  it('returns the candidates as they are when they miss a target, and records why in a trace', () => {
+    const document = createDocument('<ul><li class="active">1</li></ul>');
+    const detached = document.createElement('li');
+    const optimizer = createOptimizer(document);
+    const trace = DebugOptimizer.createTrace();
+
+    assert.deepEqual(optimizer.findBest([detached], [li, firstChild]), [li, firstChild]);
+    assert.deepEqual(optimizer.findBest([detached], [li, firstChild], trace), [li, firstChild]);
+    assert.equal(trace.initial.matchCount, 0);
+    assert.notEqual(trace.failure, null);
+  });
+});
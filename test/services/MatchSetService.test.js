@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MatchSetService } from '../../src/services/MatchSetService.js';
+import { DOMService } from '../../src/services/DOMService.js';
+import { SelectorBuilder } from '../../src/builders/SelectorBuilder.js';
+import { createDocument } from '../helpers/dom.js';
+
+/**
+ * Creates a match service whose DOM queries are counted.
+ * @param {Document} document - Query root
+ * @param {boolean} cached - Use the match-set cache
+ * @returns {{matchService: MatchSetService, queries: Array<string>}} The service and the queried selectors
+ */
+function createCountingService(document, cached) {
+  const domService = new DOMService(document);
+  const queries = [];
+  const querySelectorAll = domService.querySelectorAll.bind(domService);
+  domService.querySelectorAll = (selector) => {
+    queries.push(selector);
+    return querySelectorAll(selector);
+  };
+  return { matchService: new MatchSetService(domService, new SelectorBuilder(), { cached }), queries };
+}
+
+const descriptors = [
+  { cost: 1, level: 0, type: 'tag', selector: 'li' },
+  { cost: 1, level: 0, type: 'class', selector: '.a' },
+  { cost: 10, level: 1, type: 'tag', selector: 'ul' },
+];
+
+describe('MatchSetService', () => {
+  it('evaluates sets from cached match sets like a query', () => {
+    const document = createDocument('<ul><li class="a">1</li><li>2</li></ul><ol><li class="a">3</li></ol>');
+    const { matchService } = createCountingService(document, true);
+
+    assert.deepEqual(matchService.match(descriptors), [document.querySelector('ul > li.a')]);
+    assert.ok(matchService.verify(descriptors));
+  });
+
+  describe('prefetch', () => {
+    it('queries every uncached descriptor in its own step', () => {
+      const document = createDocument('<ul><li class="a">1</li></ul>');
+      const { matchService, queries } = createCountingService(document, true);
+      matchService.match([descriptors[0]]);
+
+      const steps = matchService.prefetch(descriptors);
+      let yields = 0;
+      while (!steps.next().done) {
+        yields++;
+      }
+
+      assert.equal(yields, 2);
+      assert.deepEqual(queries, ['li', '.a', 'ul']);
+
+      matchService.match(descriptors);
+      assert.equal(queries.length, 3);
+    });
+
+    it('does nothing without the cache', () => {
+      const document = createDocument('<ul><li class="a">1</li></ul>');
+      const { matchService, queries } = createCountingService(document, false);
+
+      assert.equal(matchService.prefetch(descriptors).next().done, true);
+      assert.deepEqual(queries, []);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StepRunner } from '../../src/utils/StepRunner.js';
+import { ASYNC_SLICE_MS } from '../../src/config/constants.js';
+
+/**
+ * Steps that busy-wait for a while in every step.
+ * @param {number} count - Number of steps
+ * @param {number} stepMs - Milliseconds per step
+ * @param {Object} state - Receives the number of steps run and whether the steps were closed
+ * @returns {Generator<undefined, string>} Steps returning "done"
+ */
+function* busySteps(count, stepMs, state) {
+  try {
+    for (let i = 0; i < count; i++) {
+      yield;
+      const end = performance.now() + stepMs;
+      while (performance.now() < end) {
+        // Busy wait
+      }
+      state.steps++;
+    }
+    return 'done';
+  } finally {
+    state.closed = true;
+  }
+}
+
+describe('StepRunner', () => {
+  it('runs steps synchronously', () => {
+    const state = { steps: 0, closed: false };
+    assert.equal(StepRunner.run(busySteps(3, 0, state)), 'done');
+    assert.equal(state.steps, 3);
+  });
+
+  it('yields to the event loop between slices', async () => {
+    const state = { steps: 0, closed: false };
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 0);
+
+    const result = await StepRunner.runAsync(busySteps(10, ASYNC_SLICE_MS, state));
+    clearInterval(interval);
+
+    assert.equal(result, 'done');
+    assert.ok(ticks >= 5, `expected the event loop to run between slices, got ${ticks} ticks`);
+  });
+
+  it('rejects with the reason when aborted, and closes the steps', async () => {
+    const state = { steps: 0, closed: false };
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 5 * ASYNC_SLICE_MS);
+
+    await assert.rejects(
+      StepRunner.runAsync(busySteps(1000, ASYNC_SLICE_MS, state), controller.signal),
+      { name: 'AbortError' }
+    );
+    assert.ok(state.steps < 1000);
+    assert.equal(state.closed, true);
+  });
+
+  it('rejects before the first step when already aborted', async () => {
+    const state = { steps: 0, closed: false };
+    await assert.rejects(
+      StepRunner.runAsync(busySteps(3, 0, state), AbortSignal.abort()),
+      { name: 'AbortError' }
+    );
+    assert.equal(state.steps, 0);
+  });
+});